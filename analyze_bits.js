@@ -0,0 +1,258 @@
+const path = require("path");
+const { ARC480A48, decodeBroadlinkBase64, detectFrameLayout } = require("./daikin_arc480a48");
+const { loadSources } = require("./audit_captures");
+const { keyToState } = require("./command_key");
+const { modelFromArgs } = require("./daikin_models");
+
+/**
+ * Correlate every state frame bit with the labels implied by capture keys
+ *
+ * Only state frames are sampled; off commands and their preamble and clock
+ * frames are skipped. Each bit is classified as:
+ * - constant: the same value in every capture
+ * - explained: follows one label, or a pair of labels, in at least
+ *   MIN_AGREEMENT of the captures. The captures that disagree with the
+ *   label's majority value are counted as mismatches, so a few mislabeled
+ *   captures do not hide the bit; other single labels that fit as well are
+ *   listed as alternatives
+ * - checksum: the last byte, skipped because it depends on every other byte
+ * - unexplained: varies in a way no label or label pair explains; the label
+ *   with the highest mutual information is reported as the best partial match
+ *
+ * Unexplained bits point at features the encoder does not model yet.
+ */
+
+const LABELS = [
+  "power",
+  "mode",
+  "fanMode",
+  "swing",
+  "quiet",
+  "comfort",
+  "powerSavingMode",
+  "temperature",
+];
+
+const MIN_AGREEMENT = 0.98;
+
+function captureLabels(key, model) {
+  const state = keyToState(key, model);
+  const labels = {};
+  for (const label of LABELS) labels[label] = String(state[label] ?? "-");
+  labels.power = String(state.power !== false);
+  return labels;
+}
+
+function entropy(counts, total) {
+  let result = 0;
+  for (const count of counts) {
+    if (count === 0) continue;
+    const p = count / total;
+    result -= p * Math.log2(p);
+  }
+  return result;
+}
+
+// How well grouping the samples by `groupOf` predicts the bit: the samples
+// outside their group's majority value and the conditional entropy
+function labelFit(samples, bitIndex, groupOf) {
+  const groups = new Map();
+  for (const sample of samples) {
+    const group = groupOf(sample.labels);
+    if (!groups.has(group)) groups.set(group, [0, 0]);
+    groups.get(group)[sample.bits[bitIndex]] += 1;
+  }
+
+  let mismatches = 0;
+  let remaining = 0;
+  for (const counts of groups.values()) {
+    const size = counts[0] + counts[1];
+    mismatches += Math.min(...counts);
+    remaining += (size / samples.length) * entropy(counts, size);
+  }
+  return { mismatches, remaining };
+}
+
+const byFit = (a, b) => a.mismatches - b.mismatches || a.remaining - b.remaining;
+
+function frameBits(bytes) {
+  const bits = [];
+  for (const value of bytes) {
+    for (let bit = 0; bit < 8; bit += 1) bits.push((value >> bit) & 1);
+  }
+  return bits;
+}
+
+function collectSamples(captures, model = ARC480A48) {
+  const samples = [];
+  const skipped = [];
+
+  for (const capture of captures) {
+    try {
+      const frame = decodeBroadlinkBase64(capture.value, model)
+        .filter((bytes) => detectFrameLayout(bytes, model).kind === "state")
+        .pop();
+      if (!frame) throw new Error("No state frame");
+      samples.push({
+        key: capture.key,
+        labels: captureLabels(capture.key, model),
+        bits: frameBits(frame),
+      });
+    } catch (error) {
+      skipped.push({ key: capture.key, source: capture.source, reason: error.message });
+    }
+  }
+
+  return { samples, skipped };
+}
+
+function analyzeBits(samples, model = ARC480A48) {
+  const { fields } = model;
+  const pairs = [];
+  for (let i = 0; i < LABELS.length; i += 1) {
+    for (let j = i + 1; j < LABELS.length; j += 1) pairs.push([LABELS[i], LABELS[j]]);
+  }
+
+  const bits = [];
+  for (let index = 0; index < model.stateLength * 8; index += 1) {
+    const byte = index >> 3;
+    const bit = index & 7;
+    const ones = samples.reduce((count, sample) => count + sample.bits[index], 0);
+    const owner = fields.find((candidate) => {
+      const start = candidate.byte * 8 + candidate.bit;
+      return index >= start && index < start + candidate.width;
+    });
+    const entry = { byte, bit, field: owner ? owner.name : null, ones, total: samples.length };
+
+    // The checksum depends on every other byte, so it says nothing on its own
+    if (byte === model.stateLength - 1) {
+      bits.push({ ...entry, field: "checksum", kind: "checksum" });
+      continue;
+    }
+
+    if (ones === 0 || ones === samples.length) {
+      bits.push({ ...entry, kind: "constant", value: ones === 0 ? 0 : 1 });
+      continue;
+    }
+
+    const bitEntropy = entropy([samples.length - ones, ones], samples.length);
+    const maxMismatches = Math.floor(samples.length * (1 - MIN_AGREEMENT));
+    const explained = (fit, alternatives) => ({
+      ...entry,
+      kind: "explained",
+      labels: fit.labels,
+      alternatives,
+      mismatches: fit.mismatches,
+      agreement: Number((1 - fit.mismatches / samples.length).toFixed(4)),
+    });
+
+    const single = LABELS.map((label) => ({
+      labels: [label],
+      ...labelFit(samples, index, (labels) => labels[label]),
+    })).sort(byFit);
+
+    const pair = pairs
+      .map((labels) => ({
+        labels,
+        ...labelFit(samples, index, (values) => labels.map((label) => values[label]).join("|")),
+      }))
+      .sort(byFit)[0];
+
+    // A pair only wins when it fits better than its best single label
+    if (pair && pair.mismatches < single[0].mismatches && pair.mismatches <= maxMismatches) {
+      bits.push(explained(pair, []));
+      continue;
+    }
+
+    if (single[0].mismatches <= maxMismatches) {
+      const alternatives = single
+        .slice(1)
+        .filter(({ mismatches }) => mismatches === single[0].mismatches)
+        .map(({ labels }) => labels[0]);
+      bits.push(explained(single[0], alternatives));
+      continue;
+    }
+
+    bits.push({
+      ...entry,
+      kind: "unexplained",
+      best: single[0].labels[0],
+      mutualInformation: Number((bitEntropy - single[0].remaining).toFixed(4)),
+      entropy: Number(bitEntropy.toFixed(4)),
+    });
+  }
+
+  return bits;
+}
+
+function formatAnalysis(bits, sampleCount) {
+  const lines = [`Analyzed ${sampleCount} state frame(s)`];
+  const position = ({ byte, bit, field }) =>
+    `byte ${String(byte).padStart(2)} bit ${bit}${field ? `  [${field}]` : ""}`;
+
+  lines.push("", "Constant bits:");
+  for (let byte = 0; byte * 8 < bits.length - 8; byte += 1) {
+    const row = bits.slice(byte * 8, byte * 8 + 8);
+    if (!row.every(({ kind }) => kind === "constant")) continue;
+    const value = row.reduce((sum, { value: bitValue }, bit) => sum | (bitValue << bit), 0);
+    lines.push(`  byte ${String(byte).padStart(2)} = 0x${value.toString(16).padStart(2, "0")}`);
+  }
+  for (const entry of bits) {
+    const byteRow = bits.slice(entry.byte * 8, entry.byte * 8 + 8);
+    if (entry.kind === "constant" && !byteRow.every(({ kind }) => kind === "constant")) {
+      lines.push(`  ${position(entry)} = ${entry.value}`);
+    }
+  }
+
+  lines.push("", "Bits that follow labels:");
+  for (const entry of bits.filter(({ kind }) => kind === "explained")) {
+    const alternatives =
+      entry.alternatives.length > 0 ? ` (or ${entry.alternatives.join(", ")})` : "";
+    const mismatches = entry.mismatches > 0 ? `, ${entry.mismatches} mismatch(es)` : "";
+    lines.push(`  ${position(entry)}  <- ${entry.labels.join(" + ")}${alternatives}${mismatches}`);
+  }
+
+  const unexplained = bits.filter(({ kind }) => kind === "unexplained");
+  lines.push("", `Unexplained bits (${unexplained.length}):`);
+  for (const entry of unexplained) {
+    lines.push(
+      `  ${position(entry)}  set in ${entry.ones}/${entry.total}, best partial: ${entry.best} ` +
+        `(MI ${entry.mutualInformation} of ${entry.entropy} bits)`,
+    );
+  }
+
+  return lines.join("\n");
+}
+
+function main() {
+  const { model, args } = modelFromArgs(process.argv.slice(2));
+  const json = args.includes("--json");
+  const captures = loadSources(args.filter((arg) => arg !== "--json"));
+  const { samples, skipped } = collectSamples(captures, model);
+  const bits = analyzeBits(samples, model);
+
+  if (json) {
+    console.log(JSON.stringify({ samples: samples.length, skipped, bits }, null, 2));
+    return;
+  }
+
+  console.log(formatAnalysis(bits, samples.length));
+  if (skipped.length > 0) {
+    console.log(`\nSkipped ${skipped.length} capture(s):`);
+    for (const { key, source, reason } of skipped) {
+      console.log(`  ${key} (${path.relative(process.cwd(), source)}): ${reason}`);
+    }
+  }
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  LABELS,
+  MIN_AGREEMENT,
+  analyzeBits,
+  collectSamples,
+};
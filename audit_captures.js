@@ -0,0 +1,252 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  ARC480A48,
+  checksum,
+  decodeBroadlinkBase64,
+  decodeFrame,
+  detectFrameLayout,
+  framesForState,
+} = require("./daikin_arc480a48");
+const { flattenCommands } = require("./generate_daikin_arc480a48_states");
+const { modelFromArgs } = require("./daikin_models");
+const { keyToState } = require("./command_key");
+
+/**
+ * Audit learned Broadlink captures against the state their key describes
+ *
+ * Every capture is decoded and compared with the frames the encoder builds for
+ * the state implied by its key ("mode-swing-fan-temperature" or "off").
+ * Reports bad checksums, wrong frame counts, field mismatches and payloads
+ * shared by keys that should produce different frames. A field that decodes
+ * as the key says but differs from the encoder's frame, such as the night fan
+ * the encoder turns to auto under comfort, is an encoder override: reported
+ * apart from the issues, since the capture matches its key.
+ */
+
+const DEFAULT_SOURCES = [path.join(__dirname, "src"), path.join(__dirname, "assert", "9999.json")];
+
+function loadCaptures(source) {
+  const stat = fs.statSync(source);
+  if (stat.isDirectory()) {
+    const captures = [];
+    for (const file of fs.readdirSync(source).filter((name) => name.endsWith(".json"))) {
+      captures.push(...loadCaptures(path.join(source, file)));
+    }
+    return captures;
+  }
+
+  const data = JSON.parse(fs.readFileSync(source, "utf8"));
+  const commands = data.commands ? flattenCommands(data.commands) : data;
+  return Object.entries(commands).map(([key, value]) => ({ key, value, source }));
+}
+
+// Explicit sources must exist; missing default sources are skipped
+function loadSources(sources) {
+  const captures = [];
+
+  for (const source of sources.length > 0 ? sources : DEFAULT_SOURCES) {
+    if (!fs.existsSync(source)) {
+      if (sources.length > 0) {
+        console.error(`Error: Source does not exist: ${source}`);
+        process.exit(1);
+      }
+      continue;
+    }
+    captures.push(...loadCaptures(source));
+  }
+
+  return captures;
+}
+
+function frameSignature(frames) {
+  return frames
+    .map((frame) => frame.map((value) => value.toString(16).padStart(2, "0")).join(""))
+    .join("|");
+}
+
+function compareFrames(actual, expected, model) {
+  const layout = detectFrameLayout(expected, model);
+  if (layout.kind !== "unknown" && actual.length === expected.length) {
+    const decodedActual = decodeFrame(actual, model);
+    const decodedExpected = decodeFrame(expected, model);
+    const fields = [];
+
+    for (const field of layout.fields) {
+      if (field.fixed != null) continue;
+      if (decodedActual[field.name] !== decodedExpected[field.name]) {
+        fields.push({
+          field: field.name,
+          expected: decodedExpected[field.name],
+          actual: decodedActual[field.name],
+        });
+      }
+    }
+
+    return { fields, unknownBits: decodedActual.unknownBits || [] };
+  }
+
+  return { fields: [], unknownBits: [] };
+}
+
+function auditCapture(capture, model = ARC480A48) {
+  const issues = [];
+  const overrides = [];
+  const entry = (type, message, details) => ({
+    key: capture.key,
+    source: capture.source,
+    type,
+    message,
+    ...details,
+  });
+  const report = (type, message, details = {}) => issues.push(entry(type, message, details));
+
+  let state;
+  let expectedFrames;
+  try {
+    state = keyToState(capture.key, model);
+    expectedFrames = framesForState(state, model);
+  } catch (error) {
+    report("invalidKey", error.message);
+    return { issues, overrides, frames: null, expectedFrames: null };
+  }
+
+  let frames;
+  try {
+    frames = decodeBroadlinkBase64(capture.value, model);
+  } catch (error) {
+    report("decodeError", error.message);
+    return { issues, overrides, frames: null, expectedFrames };
+  }
+
+  frames.forEach((frame, index) => {
+    if (frame.length > 0 && checksum(frame) !== frame[frame.length - 1]) {
+      const [actual, expected] = [frame[frame.length - 1], checksum(frame)].map(hexByte);
+      const message = `Frame ${index} checksum is 0x${actual}, expected 0x${expected}`;
+      report("checksum", message, { frame: index });
+    }
+  });
+
+  if (frames.length !== expectedFrames.length) {
+    report("frameCount", `Decoded ${frames.length} frame(s), expected ${expectedFrames.length}`);
+    return { issues, overrides, frames, expectedFrames };
+  }
+
+  frames.forEach((frame, index) => {
+    const expected = expectedFrames[index];
+    if (frame.length !== expected.length) {
+      const message = `Frame ${index} has ${frame.length} bytes, expected ${expected.length}`;
+      report("frameLength", message, { frame: index });
+      return;
+    }
+
+    // Differences from the encoder's frame where the capture still holds the
+    // key's value are the encoder's rewrites, not mislabeled captures
+    const { fields, unknownBits } = compareFrames(frame, expected, model);
+    const mismatches = fields.filter(({ field, actual }) => state[field] !== actual);
+    const rewritten = fields.filter(({ field, actual }) => state[field] === actual);
+    if (mismatches.length > 0) {
+      const message = `Frame ${index} decodes to a different state: ${summarizeFields(mismatches)}`;
+      report("mismatch", message, { frame: index, fields: mismatches });
+    } else if (rewritten.length > 0) {
+      const message = `Frame ${index} holds the key's ${summarizeFields(rewritten, "key")}`;
+      overrides.push(entry("override", message, { frame: index, fields: rewritten }));
+    } else if (frameSignature([frame]) !== frameSignature([expected])) {
+      const message = `Frame ${index} matches every known field but differs in raw bytes`;
+      report("bytes", message, { frame: index, unknownBits });
+    }
+  });
+
+  return { issues, overrides, frames, expectedFrames };
+}
+
+// "fanMode auto -> night"; as "key" it reads "fanMode night where the encoder sends auto"
+function summarizeFields(fields, view = "encoder") {
+  return fields
+    .map(({ field, expected, actual }) =>
+      view === "key"
+        ? `${field} ${actual} where the encoder sends ${expected}`
+        : `${field} ${expected} -> ${actual}`,
+    )
+    .join(", ");
+}
+
+function auditCaptures(captures, model = ARC480A48) {
+  const issues = [];
+  const overrides = [];
+  const byPayload = new Map();
+
+  for (const capture of captures) {
+    const result = auditCapture(capture, model);
+    issues.push(...result.issues);
+    overrides.push(...result.overrides);
+    if (!result.frames || !result.expectedFrames) continue;
+
+    const signature = frameSignature(result.frames);
+    if (!byPayload.has(signature)) byPayload.set(signature, []);
+    byPayload.get(signature).push({ ...capture, expected: frameSignature(result.expectedFrames) });
+  }
+
+  for (const group of byPayload.values()) {
+    const expected = new Set(group.map((capture) => capture.expected));
+    if (expected.size < 2) continue;
+
+    const keys = [...new Set(group.map((capture) => capture.key))];
+    issues.push({
+      key: keys[0],
+      source: group[0].source,
+      type: "duplicate",
+      message:
+        `${keys.length} keys describing ${expected.size} different states share one payload: ` +
+        summarizeKeys(keys),
+      keys,
+    });
+  }
+
+  return { checked: captures.length, issues, overrides };
+}
+
+function summarizeKeys(keys, limit = 6) {
+  if (keys.length <= limit) return keys.join(", ");
+  return `${keys.slice(0, limit).join(", ")} and ${keys.length - limit} more`;
+}
+
+function hexByte(value) {
+  return value.toString(16).padStart(2, "0");
+}
+
+function main() {
+  const { model, args } = modelFromArgs(process.argv.slice(2));
+  const json = args.includes("--json");
+  const captures = loadSources(args.filter((arg) => arg !== "--json"));
+  const result = auditCaptures(captures, model);
+
+  if (json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    for (const issue of result.issues) {
+      const source = path.relative(process.cwd(), issue.source);
+      console.log(`✗ [${issue.type}] ${issue.key} (${source})`);
+      console.log(`    ${issue.message}`);
+    }
+    if (result.overrides.length > 0) {
+      console.log(`\n${result.overrides.length} capture(s) hold a value the encoder rewrites:`);
+      for (const { key, message } of result.overrides) console.log(`  ${key}: ${message}`);
+    }
+    console.log(`\nChecked ${result.checked} capture(s), found ${result.issues.length} issue(s)`);
+  }
+
+  if (result.issues.length > 0) process.exitCode = 1;
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  auditCapture,
+  auditCaptures,
+  loadCaptures,
+  loadSources,
+};
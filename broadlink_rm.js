@@ -0,0 +1,520 @@
+const crypto = require("crypto");
+const dgram = require("dgram");
+const {
+  parseBroadlinkPackets,
+  stateToBroadlinkBase64,
+  takeOption,
+} = require("./daikin_arc480a48");
+const { modelFromArgs } = require("./daikin_models");
+
+/**
+ * Local network client for Broadlink RM IR blasters
+ *
+ * Speaks the same UDP protocol as the Broadlink app and python-broadlink:
+ * - discovery: a 0x30-byte hello, broadcast or sent to one host on port 80;
+ *   every device answers with its device type, MAC address and name
+ * - auth (0x65): sent with the well-known default AES key; the reply holds the
+ *   device id and the session key used for every later packet
+ * - commands (0x6a): `send_data` (0x02) plays a Broadlink IR code,
+ *   `enter_learning` (0x03) arms the receiver, `check_data` (0x04) returns the
+ *   learned code once a button was pressed
+ *
+ * Every packet has a 0x38-byte header followed by an AES-128-CBC payload padded
+ * with zeros to a 16-byte block. Checksums are 0xbeaf plus the byte sum, little
+ * endian. RM4 devices prefix command payloads with a 16-bit length.
+ */
+
+const DEFAULT_PORT = 80;
+const DEFAULT_KEY = Buffer.from("097628343fe99e23765c1513accf8b02", "hex");
+const IV = Buffer.from("562e17996d093d28ddb3ba695a2e6f58", "hex");
+const PACKET_MAGIC = Buffer.from("5aa5aa555aa5aa55", "hex");
+const HEADER_LENGTH = 0x38;
+
+const PACKET_TYPES = {
+  discover: 0x06,
+  discoverReply: 0x07,
+  auth: 0x65,
+  authReply: 0x3e9,
+  command: 0x6a,
+  commandReply: 0x3ee,
+};
+
+const RM_COMMANDS = {
+  sendData: 0x02,
+  enterLearning: 0x03,
+  checkData: 0x04,
+};
+
+// Device types python-broadlink lists for the RM family
+const RM_DEVICES = {
+  0x2712: { model: "RM pro", framing: "rm" },
+  0x272a: { model: "RM pro", framing: "rm" },
+  0x2737: { model: "RM mini 3", framing: "rm" },
+  0x2787: { model: "RM pro", framing: "rm" },
+  0x278f: { model: "RM mini", framing: "rm" },
+  0x27c2: { model: "RM mini 3", framing: "rm" },
+  0x27c7: { model: "RM mini 3", framing: "rm" },
+  0x51da: { model: "RM4 mini", framing: "rm4" },
+  0x5f36: { model: "RM mini 3", framing: "rm4" },
+  0x6026: { model: "RM4 pro", framing: "rm4" },
+  0x610e: { model: "RM4 mini", framing: "rm4" },
+  0x62bc: { model: "RM4 mini", framing: "rm4" },
+  0x649b: { model: "RM4 pro", framing: "rm4" },
+  0x653c: { model: "RM4 pro", framing: "rm4" },
+};
+
+// Error codes the firmware returns at offset 0x22, as signed 16-bit values
+const DEVICE_ERRORS = {
+  [-1]: "Authentication failed",
+  [-2]: "You have been logged out",
+  [-3]: "The device is offline",
+  [-4]: "Command not supported",
+  [-5]: "The device storage is full",
+  [-6]: "Structure is abnormal",
+  [-7]: "Control key is expired",
+  [-8]: "Send error",
+  [-9]: "Write error",
+  [-10]: "Read error",
+  [-11]: "SSID could not be found in AP configuration",
+};
+
+// check_data answers with one of these until a code has been learned
+const NOTHING_LEARNED = new Set([-5, -10]);
+
+function broadlinkChecksum(bytes) {
+  let sum = 0xbeaf;
+  for (const byte of bytes) sum += byte;
+  return sum & 0xffff;
+}
+
+function encryptPayload(payload, key) {
+  const padded = Buffer.concat([payload, Buffer.alloc((16 - (payload.length % 16)) % 16)]);
+  const cipher = crypto.createCipheriv("aes-128-cbc", key, IV).setAutoPadding(false);
+  return Buffer.concat([cipher.update(padded), cipher.final()]);
+}
+
+function decryptPayload(payload, key) {
+  if (payload.length % 16 !== 0) {
+    throw new Error(`Encrypted payload is ${payload.length} bytes, not a multiple of 16`);
+  }
+  const decipher = crypto.createDecipheriv("aes-128-cbc", key, IV).setAutoPadding(false);
+  return Buffer.concat([decipher.update(payload), decipher.final()]);
+}
+
+function formatMac(bytes) {
+  return [...bytes].map((byte) => byte.toString(16).padStart(2, "0")).join(":");
+}
+
+function parseMac(mac) {
+  if (Buffer.isBuffer(mac)) return mac;
+  const bytes = Buffer.from(String(mac).replace(/[:-]/g, ""), "hex");
+  if (bytes.length !== 6) throw new Error(`Invalid MAC address: ${mac}`);
+  return bytes;
+}
+
+function deviceInfo(devtype) {
+  return RM_DEVICES[devtype] || { model: `unknown (0x${devtype.toString(16)})`, framing: "rm" };
+}
+
+function discoveryPacket({ address = "0.0.0.0", port = 0, date = new Date() } = {}) {
+  const packet = Buffer.alloc(0x30);
+  packet.writeInt32LE(Math.trunc(-date.getTimezoneOffset() / 60), 0x08);
+  packet.writeUInt16LE(date.getFullYear(), 0x0c);
+  packet[0x0e] = date.getMinutes();
+  packet[0x0f] = date.getHours();
+  packet[0x10] = date.getFullYear() % 100;
+  packet[0x11] = date.getDay() || 7;
+  packet[0x12] = date.getDate();
+  packet[0x13] = date.getMonth() + 1;
+  // The local address is stored in reverse byte order
+  Buffer.from(address.split(".").map(Number)).reverse().copy(packet, 0x18);
+  packet.writeUInt16LE(port, 0x1c);
+  packet[0x26] = PACKET_TYPES.discover;
+  packet.writeUInt16LE(broadlinkChecksum(packet), 0x20);
+  return packet;
+}
+
+function discoveryReply({ devtype, mac, name = "", locked = false }) {
+  const packet = Buffer.alloc(0x80);
+  packet[0x26] = PACKET_TYPES.discoverReply;
+  packet.writeUInt16LE(devtype, 0x34);
+  Buffer.from(parseMac(mac)).reverse().copy(packet, 0x3a);
+  Buffer.from(name, "utf8").subarray(0, 0x3e).copy(packet, 0x40);
+  packet[0x7f] = locked ? 1 : 0;
+  packet.writeUInt16LE(broadlinkChecksum(packet), 0x20);
+  return packet;
+}
+
+function parseDiscoveryReply(packet, { address, port }) {
+  if (packet.length < 0x40) throw new Error(`Discovery reply is ${packet.length} bytes`);
+  const devtype = packet.readUInt16LE(0x34);
+  const name = packet.subarray(0x40, 0x7f);
+  const end = name.indexOf(0);
+  return {
+    host: address,
+    port,
+    devtype,
+    ...deviceInfo(devtype),
+    mac: formatMac(Buffer.from(packet.subarray(0x3a, 0x40)).reverse()),
+    name: name.subarray(0, end === -1 ? name.length : end).toString("utf8"),
+    locked: packet.length > 0x7f && packet[0x7f] !== 0,
+  };
+}
+
+function buildPacket({ type, devtype, count, mac, id = 0, error = 0, payload, key }) {
+  const header = Buffer.alloc(HEADER_LENGTH);
+  PACKET_MAGIC.copy(header, 0);
+  header.writeInt16LE(error, 0x22);
+  header.writeUInt16LE(devtype, 0x24);
+  header.writeUInt16LE(type, 0x26);
+  header.writeUInt16LE(count, 0x28);
+  Buffer.from(parseMac(mac)).reverse().copy(header, 0x2a);
+  header.writeUInt32LE(id, 0x30);
+  header.writeUInt16LE(broadlinkChecksum(payload), 0x34);
+
+  const packet = Buffer.concat([header, encryptPayload(payload, key)]);
+  packet.writeUInt16LE(broadlinkChecksum(packet), 0x20);
+  return packet;
+}
+
+// Reads the header of a command or reply packet and decrypts its payload
+function parsePacket(packet, key) {
+  if (packet.length < HEADER_LENGTH || !packet.subarray(0, 8).equals(PACKET_MAGIC)) {
+    throw new Error("Not a Broadlink command packet");
+  }
+
+  const unsigned = Buffer.from(packet);
+  unsigned.writeUInt16LE(0, 0x20);
+  if (broadlinkChecksum(unsigned) !== packet.readUInt16LE(0x20)) {
+    throw new Error("Broadlink packet checksum mismatch");
+  }
+
+  const encrypted = packet.subarray(HEADER_LENGTH);
+  return {
+    error: packet.readInt16LE(0x22),
+    devtype: packet.readUInt16LE(0x24),
+    type: packet.readUInt16LE(0x26),
+    count: packet.readUInt16LE(0x28),
+    mac: formatMac(Buffer.from(packet.subarray(0x2a, 0x30)).reverse()),
+    id: packet.readUInt32LE(0x30),
+    payloadChecksum: packet.readUInt16LE(0x34),
+    payload: encrypted.length > 0 ? decryptPayload(encrypted, key) : Buffer.alloc(0),
+  };
+}
+
+function authPayload() {
+  const payload = Buffer.alloc(0x50);
+  payload.fill(0x31, 0x04, 0x14);
+  payload[0x1e] = 0x01;
+  payload[0x2d] = 0x01;
+  payload.write("Test 1", 0x30, "ascii");
+  return payload;
+}
+
+function commandPayload(command, data, framing) {
+  const body = Buffer.alloc(4);
+  body.writeUInt32LE(command, 0);
+  if (framing !== "rm4") return Buffer.concat([body, data]);
+
+  const length = Buffer.alloc(2);
+  length.writeUInt16LE(body.length + data.length, 0);
+  return Buffer.concat([length, body, data]);
+}
+
+function commandReplyData(payload, framing) {
+  if (framing !== "rm4") return payload.subarray(4);
+  return payload.subarray(6, payload.readUInt16LE(0) + 2);
+}
+
+function deviceError(code) {
+  const error = new Error(
+    `Broadlink device error ${code}: ${DEVICE_ERRORS[code] || "Unknown error"}`,
+  );
+  error.code = code;
+  return error;
+}
+
+function codeBuffer(code) {
+  const buffer = Buffer.isBuffer(code) ? code : Buffer.from(code, "base64");
+  // Refuse anything the device would not recognize as an IR or RF packet
+  parseBroadlinkPackets(buffer.toString("base64"));
+  return buffer;
+}
+
+function openSocket(localAddress) {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket("udp4");
+    socket.once("error", reject);
+    socket.bind(0, localAddress, () => {
+      socket.off("error", reject);
+      resolve(socket);
+    });
+  });
+}
+
+function closeSocket(socket) {
+  return new Promise((resolve) => socket.close(resolve));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Sends one hello and collects replies until the timeout or the limit
+async function discover({
+  address = "255.255.255.255",
+  port = DEFAULT_PORT,
+  timeout = 3000,
+  limit = Infinity,
+  localAddress,
+} = {}) {
+  const socket = await openSocket(localAddress);
+  socket.setBroadcast(true);
+  const devices = new Map();
+  let finish;
+  const done = new Promise((resolve) => {
+    finish = resolve;
+  });
+
+  socket.on("message", (message, remote) => {
+    if (message.length < 0x40 || message[0x26] !== PACKET_TYPES.discoverReply) return;
+    const device = parseDiscoveryReply(message, remote);
+    devices.set(device.mac, device);
+    if (devices.size >= limit) finish();
+  });
+
+  const local = socket.address();
+  const hello = discoveryPacket({ address: local.address, port: local.port });
+  await new Promise((resolve, reject) => {
+    socket.send(hello, port, address, (error) => (error ? reject(error) : resolve()));
+  }).catch(async (error) => {
+    await closeSocket(socket);
+    throw error;
+  });
+
+  const timer = setTimeout(finish, timeout);
+  await done;
+  clearTimeout(timer);
+  await closeSocket(socket);
+  return [...devices.values()];
+}
+
+function createRmClient({
+  host,
+  port = DEFAULT_PORT,
+  mac,
+  devtype,
+  framing = deviceInfo(devtype).framing,
+  timeout = 5000,
+  localAddress,
+}) {
+  if (!host) throw new Error("Broadlink client needs a host");
+  if (!Number.isInteger(devtype)) throw new Error("Broadlink client needs the device type");
+
+  const macBytes = parseMac(mac);
+  let socket = null;
+  let count = crypto.randomInt(0x8000, 0x10000);
+  let id = 0;
+  let key = DEFAULT_KEY;
+
+  async function request(type, payload) {
+    if (!socket) socket = await openSocket(localAddress);
+    count = ((count + 1) | 0x8000) & 0xffff;
+    const sentCount = count;
+    const packet = buildPacket({ type, devtype, count: sentCount, mac: macBytes, id, payload, key });
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        socket.off("message", onMessage);
+        reject(new Error(`No reply from Broadlink device ${host}:${port} within ${timeout} ms`));
+      }, timeout);
+
+      function onMessage(message) {
+        let reply;
+        try {
+          reply = parsePacket(message, key);
+        } catch (error) {
+          return;
+        }
+        if (reply.count !== sentCount) return;
+
+        clearTimeout(timer);
+        socket.off("message", onMessage);
+        if (reply.error !== 0) reject(deviceError(reply.error));
+        else resolve(reply);
+      }
+
+      socket.on("message", onMessage);
+      socket.send(packet, port, host, (error) => {
+        if (!error) return;
+        clearTimeout(timer);
+        socket.off("message", onMessage);
+        reject(error);
+      });
+    });
+  }
+
+  async function command(rmCommand, data = Buffer.alloc(0)) {
+    if (id === 0) throw new Error("Broadlink client is not authenticated; call auth() first");
+    const reply = await request(PACKET_TYPES.command, commandPayload(rmCommand, data, framing));
+    return commandReplyData(reply.payload, framing);
+  }
+
+  async function auth() {
+    const reply = await request(PACKET_TYPES.auth, authPayload());
+    const sessionKey = reply.payload.subarray(0x04, 0x14);
+    if (sessionKey.length !== 16) throw new Error("Broadlink auth reply holds no session key");
+    id = reply.payload.readUInt32LE(0);
+    key = Buffer.from(sessionKey);
+    return { id, key: key.toString("hex") };
+  }
+
+  async function sendData(code) {
+    await command(RM_COMMANDS.sendData, codeBuffer(code));
+  }
+
+  async function enterLearning() {
+    await command(RM_COMMANDS.enterLearning);
+  }
+
+  // The learned code as base64, or null while nothing has been received
+  async function checkData() {
+    try {
+      const data = await command(RM_COMMANDS.checkData);
+      return data.toString("base64");
+    } catch (error) {
+      if (NOTHING_LEARNED.has(error.code)) return null;
+      throw error;
+    }
+  }
+
+  async function learn({ timeout: learnTimeout = 30000, interval = 1000 } = {}) {
+    await enterLearning();
+    const deadline = Date.now() + learnTimeout;
+    while (Date.now() < deadline) {
+      await sleep(interval);
+      const code = await checkData();
+      if (code) return code;
+    }
+    throw new Error(`Nothing learned within ${learnTimeout} ms`);
+  }
+
+  async function close() {
+    if (socket) await closeSocket(socket);
+    socket = null;
+  }
+
+  return {
+    host,
+    port,
+    devtype,
+    mac: formatMac(macBytes),
+    auth,
+    sendData,
+    enterLearning,
+    checkData,
+    learn,
+    close,
+  };
+}
+
+// Finds the device at a known address and authenticates with it
+async function connectRm(host, { port = DEFAULT_PORT, timeout = 3000, localAddress } = {}) {
+  const [device] = await discover({ address: host, port, timeout, limit: 1, localAddress });
+  if (!device) throw new Error(`No Broadlink device answered at ${host}:${port}`);
+
+  const client = createRmClient({ ...device, host, port, localAddress });
+  try {
+    await client.auth();
+  } catch (error) {
+    await client.close();
+    throw error;
+  }
+  return client;
+}
+
+function parseHost(value) {
+  const [address, port] = value.split(":");
+  return { address, port: port ? Number(port) : DEFAULT_PORT };
+}
+
+function usage() {
+  console.error("Usage:");
+  console.error("  node broadlink_rm.js discover [--address <broadcast[:port]>] [--timeout <ms>]");
+  console.error("  node broadlink_rm.js send <host[:port]> <base64 | '<state json>'> [--model <name>]");
+  console.error("  node broadlink_rm.js learn <host[:port]> [--timeout <ms>]");
+  process.exit(1);
+}
+
+async function main() {
+  const { model, args } = modelFromArgs(process.argv.slice(2));
+  const address = takeOption(args, "--address");
+  const timeoutOption = takeOption(args, "--timeout");
+  const timeout = timeoutOption === undefined ? undefined : Number(timeoutOption);
+  const [command, target, code] = args;
+
+  if (command === "discover") {
+    const devices = await discover({ ...(address && parseHost(address)), timeout });
+    for (const device of devices) {
+      console.log(
+        `${device.host}:${device.port}  ${device.mac}  ${device.model} (0x${device.devtype.toString(16)})  ${device.name}` +
+          (device.locked ? "  [locked]" : ""),
+      );
+    }
+    console.error(`Found ${devices.length} device(s)`);
+    return;
+  }
+
+  if ((command !== "send" && command !== "learn") || !target) usage();
+  if (command === "send" && !code) usage();
+
+  const { address: host, port } = parseHost(target);
+  const client = await connectRm(host, { port });
+  try {
+    if (command === "send") {
+      const base64 = code.trim().startsWith("{")
+        ? stateToBroadlinkBase64(JSON.parse(code), model)
+        : code;
+      await client.sendData(base64);
+      console.log(`Sent ${Buffer.from(base64, "base64").length} byte(s) to ${host}:${port}`);
+    } else {
+      console.error("Point the remote at the device and press a button...");
+      console.log(await client.learn({ timeout }));
+    }
+  } finally {
+    await client.close();
+  }
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DEFAULT_KEY,
+  DEVICE_ERRORS,
+  PACKET_TYPES,
+  RM_COMMANDS,
+  RM_DEVICES,
+  broadlinkChecksum,
+  buildPacket,
+  codeBuffer,
+  commandPayload,
+  commandReplyData,
+  connectRm,
+  createRmClient,
+  decryptPayload,
+  deviceInfo,
+  discover,
+  discoveryPacket,
+  discoveryReply,
+  encryptPayload,
+  parseDiscoveryReply,
+  parseHost,
+  parseMac,
+  parsePacket,
+};
@@ -0,0 +1,126 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Builds the browser codec: daikin_codec.js
+ *
+ * Wraps the CommonJS sources of the codec, the state validation, the
+ * controller and the remote emulator in one ES module with a small module
+ * table, and exports what they export. None of these modules use Node
+ * built-ins outside their command-line code, which is left out of the build.
+ * http_api.js builds it on each request for the web remote; to host web/
+ * elsewhere, write it next to the page:
+ *
+ *   node build_browser.js [output.js]
+ */
+
+const BROWSER_MODULES = [
+  "errors",
+  "pronto",
+  "raw_timings",
+  "state_schema",
+  "daikin_arc480a48",
+  "daikin_models",
+  "daikin_controller",
+  "daikin_remote",
+];
+
+// Command-line helpers that mean nothing in a page
+const CLI_EXPORTS = ["modelFromArgs", "takeOption"];
+
+// Top-level functions that only serve the command line
+const CLI_FUNCTIONS = ["main", "captureFromArgs", "rawTimingOptions", "rawTimingsFromArgs"];
+
+const OUTPUT_PATH = path.join(__dirname, "web", "daikin_codec.js");
+
+// Drops the CLI functions and the `require.main` guard, each with the comment
+// above it. Top-level blocks end at the first closing brace in column 0.
+function stripCommandLine(source) {
+  const cliStart = new RegExp(
+    `^((async )?function (${CLI_FUNCTIONS.join("|")})\\(|if \\(require\\.main === module\\))`,
+  );
+  const lines = [];
+  let skipping = false;
+  for (const line of source.split("\n")) {
+    if (skipping) {
+      if (line === "}") skipping = false;
+      continue;
+    }
+    if (cliStart.test(line)) {
+      while (lines.length > 0 && lines[lines.length - 1].startsWith("//")) lines.pop();
+      skipping = true;
+      continue;
+    }
+    if (line === "" && lines[lines.length - 1] === "") continue;
+    lines.push(line);
+  }
+  return lines.join("\n");
+}
+
+function buildBrowserBundle() {
+  const exported = new Map();
+  const lines = [
+    "// Generated by build_browser.js from the CommonJS sources; do not edit.",
+    "",
+    "const modules = {",
+  ];
+
+  for (const name of BROWSER_MODULES) {
+    const source = fs.readFileSync(path.join(__dirname, `${name}.js`), "utf8");
+    lines.push(
+      `  "./${name}": (module, exports, require) => {`,
+      stripCommandLine(source).trimEnd(),
+      "  },",
+    );
+
+    for (const key of Object.keys(require(`./${name}`))) {
+      if (CLI_EXPORTS.includes(key)) continue;
+      if (exported.has(key)) {
+        throw new Error(`${key} is exported by both ${exported.get(key)} and ${name}`);
+      }
+      exported.set(key, name);
+    }
+  }
+
+  lines.push(
+    "};",
+    "",
+    "const cache = {};",
+    "",
+    "function require(name) {",
+    "  if (!modules[name]) throw new Error(`${name} is not part of the browser build`);",
+    "  if (!cache[name]) {",
+    "    cache[name] = { exports: {} };",
+    "    modules[name](cache[name], cache[name].exports, require);",
+    "  }",
+    "  return cache[name].exports;",
+    "}",
+    "",
+  );
+
+  for (const name of BROWSER_MODULES) {
+    const keys = [...exported].filter(([, module]) => module === name).map(([key]) => key);
+    if (keys.length === 0) continue;
+    lines.push("export const {", ...keys.map((key) => `  ${key},`), `} = require("./${name}");`);
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+function main() {
+  const outputPath = process.argv[2] || OUTPUT_PATH;
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, buildBrowserBundle());
+  console.log(`Wrote ${outputPath}`);
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  BROWSER_MODULES,
+  OUTPUT_PATH,
+  buildBrowserBundle,
+};
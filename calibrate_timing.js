@@ -0,0 +1,205 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  captureToMicroseconds,
+  decodeFramesWithDiagnostics,
+  takeOption,
+} = require("./daikin_arc480a48");
+const { loadSources } = require("./audit_captures");
+const { modelFromArgs } = require("./daikin_models");
+
+/**
+ * Measure the protocol timing from learned captures
+ *
+ * Only frames the tolerant decoder accepts are measured. Their decoded bits say
+ * which pulses are header, bit marks, one and zero spaces, so no extra
+ * thresholds are involved. The space before the first header is the gap, the
+ * space before each later one the frame space, and the space after the last
+ * footer mark the trailer. Each part gets its median and spread. The medians
+ * can be written as a timing profile that the encoders accept in place of the
+ * model's TIMING, except the trailer: a Broadlink capture ends in the
+ * packet's 0x0d05 terminator, so it is reported but not written.
+ */
+
+const PARTS = [
+  "headerMark",
+  "headerSpace",
+  "bitMark",
+  "oneSpace",
+  "zeroSpace",
+  "gap",
+  "frameSpace",
+  "trailerSpace",
+];
+
+// Measured and reported, but left to the encoder in a written profile
+const REPORTED_ONLY = ["trailerSpace"];
+
+function frameSamples(micros, { bytes, diagnostics }, isFirst, isLast, samples) {
+  const { start, bits } = diagnostics;
+  samples.headerMark.push(micros[start]);
+  samples.headerSpace.push(micros[start + 1]);
+  if (start > 0) samples[isFirst ? "gap" : "frameSpace"].push(micros[start - 1]);
+
+  for (let bit = 0; bit < bits; bit += 1) {
+    const mark = start + 2 + bit * 2;
+    const one = (bytes[bit >> 3] >> (bit & 7)) & 1;
+    samples.bitMark.push(micros[mark]);
+    samples[one ? "oneSpace" : "zeroSpace"].push(micros[mark + 1]);
+  }
+
+  const footer = start + 2 + bits * 2;
+  if (footer < micros.length) samples.bitMark.push(micros[footer]);
+  if (isLast && footer + 1 < micros.length) samples.trailerSpace.push(micros[footer + 1]);
+}
+
+function collectTimingSamples(captures, model) {
+  const samples = Object.fromEntries(PARTS.map((part) => [part, []]));
+  const skipped = [];
+  let frames = 0;
+
+  for (const capture of captures) {
+    try {
+      const micros = captureToMicroseconds(capture.value);
+      const decoded = decodeFramesWithDiagnostics(micros, model.timing);
+      if (decoded.length === 0) throw new Error("No frames found");
+
+      const rejected = decoded.find(({ diagnostics }) => diagnostics.rejected);
+      if (rejected) throw new Error(rejected.diagnostics.rejected);
+
+      decoded.forEach((frame, index) => {
+        frameSamples(micros, frame, index === 0, index === decoded.length - 1, samples);
+      });
+      frames += decoded.length;
+    } catch (error) {
+      skipped.push({ key: capture.key, source: capture.source, reason: error.message });
+    }
+  }
+
+  return { samples, frames, skipped };
+}
+
+function summarize(values) {
+  if (values.length === 0) return null;
+
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = sorted.length >> 1;
+  const median =
+    sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+
+  return {
+    count: values.length,
+    median: Math.round(median),
+    stdDev: Math.round(Math.sqrt(variance)),
+    min: Math.round(sorted[0]),
+    max: Math.round(sorted[sorted.length - 1]),
+  };
+}
+
+function calibrateTiming(captures, model) {
+  const { samples, frames, skipped } = collectTimingSamples(captures, model);
+  const parts = {};
+  for (const part of PARTS) {
+    const summary = summarize(samples[part]);
+    parts[part] = summary && { ...summary, timing: Math.round(model.timing[part]) };
+  }
+
+  return { captures: captures.length, frames, skipped, parts };
+}
+
+// Parts without samples keep the model's value
+function timingProfile(calibration, model) {
+  const timing = { ...model.timing };
+  for (const part of REPORTED_ONLY) delete timing[part];
+  for (const [part, summary] of Object.entries(calibration.parts)) {
+    if (summary && !REPORTED_ONLY.includes(part)) timing[part] = summary.median;
+  }
+  return { model: model.name, timing };
+}
+
+function loadTimingProfile(filePath, model) {
+  const profile = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (profile.model && profile.model !== model.name) {
+    throw new Error(`Timing profile is for model ${profile.model}, not ${model.name}`);
+  }
+
+  const timing = { ...model.timing, ...profile.timing };
+  for (const [part, value] of Object.entries(timing)) {
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error(`Invalid timing profile value for ${part}: ${JSON.stringify(value)}`);
+    }
+  }
+  return timing;
+}
+
+function formatCalibration(calibration) {
+  const lines = [
+    `Measured ${calibration.frames} frame(s) from ${calibration.captures} capture(s)`,
+    "",
+    "Part           Samples   Median   Spread (σ)     Min      Max   TIMING",
+  ];
+
+  for (const part of PARTS) {
+    const summary = calibration.parts[part];
+    if (!summary) {
+      lines.push(`${part.padEnd(14)} ${"0".padStart(7)}   (no samples)`);
+      continue;
+    }
+    lines.push(
+      `${part.padEnd(14)} ${String(summary.count).padStart(7)} ` +
+        `${String(summary.median).padStart(8)} ` +
+        `${String(summary.stdDev).padStart(12)} ${String(summary.min).padStart(7)} ` +
+        `${String(summary.max).padStart(8)} ${String(summary.timing).padStart(8)}`,
+    );
+  }
+
+  lines.push("", "All values in microseconds.");
+  return lines.join("\n");
+}
+
+function main() {
+  const { model, args } = modelFromArgs(process.argv.slice(2));
+  const writing = args.some((arg) => arg === "--write" || arg.startsWith("--write="));
+  const profilePath = takeOption(args, "--write");
+  if (writing && !profilePath) {
+    console.error("Usage: node calibrate_timing.js [sources...] [--json] [--write <profile.json>]");
+    process.exit(1);
+  }
+
+  const json = args.includes("--json");
+  const sources = args.filter((arg) => arg !== "--json");
+  const calibration = calibrateTiming(loadSources(sources), model);
+
+  if (json) {
+    console.log(JSON.stringify(calibration, null, 2));
+  } else {
+    console.log(formatCalibration(calibration));
+    if (calibration.skipped.length > 0) {
+      console.log(`Skipped ${calibration.skipped.length} capture(s) the decoder rejected`);
+    }
+  }
+
+  if (profilePath) {
+    fs.mkdirSync(path.dirname(profilePath), { recursive: true });
+    fs.writeFileSync(
+      profilePath,
+      `${JSON.stringify(timingProfile(calibration, model), null, 2)}\n`,
+      "utf8",
+    );
+    console.error(`Timing profile written to ${profilePath}`);
+  }
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  PARTS,
+  calibrateTiming,
+  loadTimingProfile,
+  timingProfile,
+};
@@ -0,0 +1,242 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { ARC480A48, takeOption } = require("./daikin_arc480a48");
+const { auditCapture } = require("./audit_captures");
+const { connectRm, parseHost } = require("./broadlink_rm");
+const { formatCommandKey, keyToState, temperatures } = require("./command_key");
+const { modelFromArgs } = require("./daikin_models");
+
+/**
+ * Guided capture of the learned codes for one mode/swing/fan combination
+ *
+ * Walks through the same temperature keys generate_template.js lists and asks a
+ * code source for each one: stdin (codes pasted or piped one per line) or a
+ * Broadlink RM in learning mode. Each code is checked at once against the state
+ * its key describes, with the same checks audit_captures.js runs. A code with a
+ * bad checksum, the wrong frame count or another state is rejected and the key
+ * is asked again. Accepted codes are written to
+ * src/<operatingMode>.<swingMode>.<fanMode>.json after every key, so a session
+ * can stop at any point and resume where it left off.
+ */
+
+const SKIP = Symbol("skip");
+
+// Audit findings that do not make a capture wrong for its key
+const WARNING_ISSUES = new Set(["bytes"]);
+
+function captureKeys(operatingMode, swingMode, fanMode, { reverse = false, model = ARC480A48 } = {}) {
+  const keys = temperatures(model).map((temperature) =>
+    formatCommandKey(operatingMode, swingMode, fanMode, temperature),
+  );
+  // Guard: throws for combinations the command key codec does not accept
+  keyToState(keys[0], model);
+  return reverse ? keys.reverse() : keys;
+}
+
+function capturePath(operatingMode, swingMode, fanMode, directory = path.join(__dirname, "src")) {
+  return path.join(directory, `${operatingMode}.${swingMode}.${fanMode}.json`);
+}
+
+// Checked against the key's state: a field the encoder rewrites, such as the
+// night fan under comfort, is a warning when the code holds the key's value
+function checkCapture(key, code, model = ARC480A48) {
+  const { issues, overrides } = auditCapture({ key, value: code, source: "capture" }, model);
+  const errors = issues.filter((issue) => !WARNING_ISSUES.has(issue.type));
+  const warnings = [...issues.filter((issue) => WARNING_ISSUES.has(issue.type)), ...overrides];
+  return {
+    accepted: errors.length === 0,
+    errors: errors.map((issue) => issue.message),
+    warnings: warnings.map((issue) => issue.message),
+  };
+}
+
+// Existing codes for the session keys are checked again; failing ones are dropped
+function loadProgress(filePath, keys, model) {
+  if (!fs.existsSync(filePath)) return { captures: {}, invalid: [] };
+
+  const captures = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const invalid = [];
+  for (const key of keys) {
+    if (!(key in captures)) continue;
+    if (!captures[key] || !checkCapture(key, captures[key], model).accepted) {
+      invalid.push(key);
+      delete captures[key];
+    }
+  }
+  return { captures, invalid };
+}
+
+function saveProgress(filePath, captures, keys) {
+  const ordered = {};
+  for (const key of keys) {
+    if (key in captures) ordered[key] = captures[key];
+  }
+  Object.assign(ordered, captures);
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const temporary = `${filePath}.tmp`;
+  fs.writeFileSync(temporary, `${JSON.stringify(ordered, null, 2)}\n`, "utf8");
+  fs.renameSync(temporary, filePath);
+}
+
+async function runCaptureSession({ keys, source, filePath, model = ARC480A48, log = console.log }) {
+  const { captures, invalid } = loadProgress(filePath, keys, model);
+  for (const key of invalid) log(`✗ ${key}: stored code no longer matches, capturing again`);
+
+  const pending = keys.filter((key) => !(key in captures));
+  log(`${keys.length - pending.length}/${keys.length} key(s) already captured in ${filePath}`);
+
+  const skipped = [];
+  let stopped = false;
+
+  for (const key of pending) {
+    let code;
+    for (let attempt = 1; ; attempt += 1) {
+      code = await source.next(key, attempt);
+      if (code == null || code === SKIP) break;
+
+      const result = checkCapture(key, code, model);
+      if (result.accepted) {
+        for (const warning of result.warnings) log(`! ${key}: ${warning}`);
+        break;
+      }
+      log(`✗ ${key} rejected: ${result.errors.join("; ")}`);
+    }
+
+    if (code == null) {
+      stopped = true;
+      break;
+    }
+    if (code === SKIP) {
+      skipped.push(key);
+      continue;
+    }
+
+    captures[key] = code;
+    saveProgress(filePath, captures, keys);
+    log(`✓ ${key}`);
+  }
+
+  const remaining = keys.filter((key) => !(key in captures));
+  return {
+    filePath,
+    total: keys.length,
+    captured: keys.length - remaining.length,
+    skipped,
+    remaining,
+    stopped,
+    complete: remaining.length === 0,
+  };
+}
+
+// One code per line; an empty line or "skip" skips the key, "quit" stops
+function lineSource(input = process.stdin, output = process.stdout) {
+  const lines = readline.createInterface({ input, terminal: false })[Symbol.asyncIterator]();
+
+  return {
+    async next(key, attempt) {
+      output.write(attempt > 1 ? `${key} (again)> ` : `${key}> `);
+      const { value, done } = await lines.next();
+      if (!input.isTTY) output.write("\n");
+      if (done) return null;
+
+      const line = value.trim();
+      if (line === "quit" || line === "q") return null;
+      if (line === "" || line === "skip") return SKIP;
+      return line;
+    },
+  };
+}
+
+// Learns each key from a Broadlink RM; a learning timeout ends the session
+function deviceSource(client, { timeout = 30000, interval = 1000, log = console.log } = {}) {
+  return {
+    async next(key, attempt) {
+      log(`${attempt > 1 ? "Again: press" : "Press"} the remote button for ${key}`);
+      try {
+        return await client.learn({ timeout, interval });
+      } catch (error) {
+        log(`${error.message}; stopping`);
+        return null;
+      }
+    },
+  };
+}
+
+function usage() {
+  console.error(
+    "Usage: node capture_session.js [OPTIONS] <operatingMode> <swingMode> <fanMode>",
+  );
+  console.error("");
+  console.error("Options:");
+  console.error("  -r, --reverse           Reverse temperature order (32° first)");
+  console.error("  --device <host[:port]>  Learn from a Broadlink RM instead of stdin");
+  console.error("  --timeout <ms>          Learning timeout per key (default: 30000)");
+  console.error("  --dir <path>            Output directory (default: src)");
+  console.error("  --model <name>          Remote model from the registry (default: arc480a48)");
+  console.error("");
+  console.error("Example:");
+  console.error("  node capture_session.js cool on auto");
+  console.error("  node capture_session.js -r cool on auto --device 192.168.1.40");
+  process.exit(1);
+}
+
+async function main() {
+  const { model, args } = modelFromArgs(process.argv.slice(2));
+  const device = takeOption(args, "--device");
+  const timeout = Number(takeOption(args, "--timeout") || 30000);
+  const directory = takeOption(args, "--dir");
+  const reverse = args.includes("-r") || args.includes("--reverse");
+  const positionalArgs = args.filter((arg) => arg !== "-r" && arg !== "--reverse");
+  if (positionalArgs.length < 3) usage();
+
+  const [operatingMode, swingMode, fanMode] = positionalArgs;
+  const keys = captureKeys(operatingMode, swingMode, fanMode, { reverse, model });
+  const filePath = capturePath(operatingMode, swingMode, fanMode, directory);
+
+  let client = null;
+  let source;
+  if (device) {
+    const { address, port } = parseHost(device);
+    client = await connectRm(address, { port });
+    source = deviceSource(client, { timeout });
+  } else {
+    if (process.stdin.isTTY) {
+      console.log("Paste the learned base64 code for each key. Empty line skips, 'quit' stops.");
+    }
+    source = lineSource();
+  }
+
+  try {
+    const result = await runCaptureSession({ keys, source, filePath, model });
+    console.log(
+      `\nCaptured ${result.captured}/${result.total} key(s)` +
+        (result.skipped.length > 0 ? `, skipped ${result.skipped.length}` : ""),
+    );
+    if (!result.complete) {
+      console.log("Run the same command again to capture the remaining keys");
+      process.exitCode = 1;
+    }
+  } finally {
+    if (client) await client.close();
+  }
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`\n❌ Aborted: ${error.message}\n`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  SKIP,
+  captureKeys,
+  capturePath,
+  checkCapture,
+  deviceSource,
+  lineSource,
+  runCaptureSession,
+};
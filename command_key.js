@@ -0,0 +1,162 @@
+const { ARC480A48 } = require("./daikin_arc480a48");
+
+/**
+ * Convert SmartIR command keys to state objects and back
+ *
+ * Key format: "operatingMode-swingMode-fanMode-temperature", or "off".
+ * Example: "cool-comfort_power_saving-auto_quiet-24.5"
+ *
+ * swingMode is on/off/comfort with an optional _power_saving or
+ * _power_saving_plus suffix; fanMode is a fan level with an optional _quiet
+ * suffix. Every part is validated against the model capabilities.
+ */
+
+const OFF_KEY = "off";
+
+const SWING_BASES = [
+  ["on", { swing: true, comfort: false }],
+  ["off", { swing: false, comfort: false }],
+  ["comfort", { swing: false, comfort: true }],
+];
+
+const POWER_SAVING_SUFFIXES = [
+  ["", "none"],
+  ["_power_saving", "econo"],
+  ["_power_saving_plus", "econo_plus"],
+];
+
+const QUIET_SUFFIX = "_quiet";
+
+function swingVariants() {
+  const variants = [];
+  for (const [base, state] of SWING_BASES) {
+    for (const [suffix, powerSavingMode] of POWER_SAVING_SUFFIXES) {
+      variants.push({ name: `${base}${suffix}`, state: { ...state, powerSavingMode } });
+    }
+  }
+  return variants;
+}
+
+function fanVariants(fanMode) {
+  return [
+    { name: fanMode, state: { fanMode, quiet: false } },
+    { name: `${fanMode}${QUIET_SUFFIX}`, state: { fanMode, quiet: true } },
+  ];
+}
+
+function formatTemperature(value) {
+  if (typeof value === "string") return value;
+  return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+function temperatures(model = ARC480A48) {
+  const { minTemperature, maxTemperature, precision } = model.capabilities;
+  const values = [];
+  for (let value = minTemperature; value <= maxTemperature; value += precision) {
+    values.push(Number(value.toFixed(1)));
+  }
+  return values;
+}
+
+function formatCommandKey(mode, swingMode, fanMode, temperature) {
+  return `${mode}-${swingMode}-${fanMode}-${formatTemperature(temperature)}`;
+}
+
+function parseCommandKey(key, model = ARC480A48) {
+  const parts = String(key).split("-");
+  if (parts.length !== 4 || parts.some((part) => part === "")) {
+    throw new Error(
+      `Invalid key format: ${key}. Expected format: operatingMode-swingMode-fanMode-temperature`,
+    );
+  }
+
+  const [mode, swingMode, fanMode, temperature] = parts;
+  const { operationModes, swingModes: supportedSwingModes, fanModes: supportedFanModes } =
+    model.capabilities;
+
+  if (!operationModes.includes(mode)) {
+    throw new Error(`Unsupported operatingMode in key ${key}: ${mode}`);
+  }
+  if (!supportedSwingModes.includes(swingMode)) {
+    throw new Error(`Unsupported swingMode in key ${key}: ${swingMode}`);
+  }
+  if (!supportedFanModes.includes(fanMode)) {
+    throw new Error(`Unsupported fanMode in key ${key}: ${fanMode}`);
+  }
+  validateTemperature(temperature, key, model);
+
+  return { mode, swingMode, fanMode, temperature };
+}
+
+function validateTemperature(temperature, key, model) {
+  const { minTemperature, maxTemperature, precision } = model.capabilities;
+  const value = Number(temperature);
+
+  if (
+    !/^\d+(\.\d+)?$/.test(temperature) ||
+    formatTemperature(value) !== temperature ||
+    value < minTemperature ||
+    value > maxTemperature ||
+    (value / precision) % 1 !== 0
+  ) {
+    throw new Error(
+      `Unsupported temperature in key ${key}: ${temperature} ` +
+        `(expected ${minTemperature}..${maxTemperature} in ${precision} steps)`,
+    );
+  }
+}
+
+function keyToState(key, model = ARC480A48) {
+  if (key === OFF_KEY) return { power: false };
+
+  const { mode, swingMode, fanMode, temperature } = parseCommandKey(key, model);
+  const swing = swingVariants().find((variant) => variant.name === swingMode);
+  const quiet = fanMode.endsWith(QUIET_SUFFIX);
+
+  return {
+    mode,
+    power: true,
+    temperature: Number(temperature),
+    fanMode: quiet ? fanMode.slice(0, -QUIET_SUFFIX.length) : fanMode,
+    quiet,
+    ...swing.state,
+  };
+}
+
+function swingModeName(state) {
+  const base = state.comfort ? "comfort" : state.swing === false ? "off" : "on";
+  const powerSavingMode = state.powerSavingMode || (state.econo ? "econo" : "none");
+  const suffix = POWER_SAVING_SUFFIXES.find(([, mode]) => mode === powerSavingMode);
+  if (!suffix) throw new Error(`Unsupported powerSavingMode: ${powerSavingMode}`);
+  return `${base}${suffix[0]}`;
+}
+
+function fanModeName(state) {
+  const fanMode = state.fanMode || "auto";
+  return state.quiet ? `${fanMode}${QUIET_SUFFIX}` : fanMode;
+}
+
+function stateToKey(state, model = ARC480A48) {
+  if (state.power === false || state.power === "off") return OFF_KEY;
+
+  const key = formatCommandKey(
+    state.mode || "cool",
+    swingModeName(state),
+    fanModeName(state),
+    state.temperature ?? 24,
+  );
+  parseCommandKey(key, model);
+  return key;
+}
+
+module.exports = {
+  OFF_KEY,
+  fanVariants,
+  formatCommandKey,
+  formatTemperature,
+  keyToState,
+  parseCommandKey,
+  stateToKey,
+  swingVariants,
+  temperatures,
+};
@@ -1,6 +1,9 @@
-const fs = require("fs");
+const { durationsToPronto, isPronto, prontoToDurations } = require("./pronto");
+const { parseRawTimings } = require("./raw_timings");
+const { assertValidState } = require("./state_schema");
 
 const STATE_LENGTH = 19;
+const SHORT_FRAME_LENGTH = 8;
 const BROADLINK_TICK_US = 269 / 8192 * 1000;
 
 function broadlinkTicks(ticks) {
@@ -15,6 +18,9 @@ const TIMING = {
   oneSpace: broadlinkTicks(42),
   zeroSpace: broadlinkTicks(14),
   gap: broadlinkTicks(813),
+  // Between the footer mark of one frame and the header of the next, as
+  // measured on the proven off capture
+  frameSpace: broadlinkTicks(1150),
   trailerSpace: broadlinkTicks(3333),
 };
 
@@ -24,12 +30,6 @@ const MODE = {
   fan_only: 0b110,
 };
 
-const MODE_NAME = {
-  [MODE.dry]: "dry",
-  [MODE.cool]: "cool",
-  [MODE.fan_only]: "fan_only",
-};
-
 const FAN = {
   level1: 0b0011,
   level2: 0b0100,
@@ -40,18 +40,18 @@ const FAN = {
   night: 0b1011,
 };
 
-const FAN_NAME = Object.fromEntries(
-  Object.entries(FAN).map(([name, value]) => [value, name]),
-);
-
-const OFF_FRAMES = [
-  [0x11, 0xda, 0x27, 0x00, 0xc5, 0x00, 0x00, 0xd7],
-  [0x11, 0xda, 0x27, 0x00, 0x42, 0x52, 0x33, 0xd9],
-  [
-    0x11, 0xda, 0x27, 0x00, 0x00, 0x68, 0x32, 0x00, 0xa0, 0x00, 0x00, 0x06,
-    0x60, 0x00, 0x00, 0xc1, 0x00, 0x00, 0x73,
-  ],
-];
+// atob and btoa keep the codec free of Buffer, so it also runs in browsers.
+// Like Buffer, this reads URL-safe base64 and skips characters outside the
+// alphabet and a dangling last character.
+function base64ToBytes(base64) {
+  let text = base64.replace(/-/g, "+").replace(/_/g, "/").replace(/[^A-Za-z0-9+/]/g, "");
+  if (text.length % 4 === 1) text = text.slice(0, -1);
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
+
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
 
 function sumBytes(bytes, length = bytes.length) {
   return bytes.slice(0, length).reduce((sum, value) => sum + value, 0) & 0xff;
@@ -61,51 +61,175 @@ function checksum(bytes) {
   return sumBytes(bytes, bytes.length - 1);
 }
 
-function broadlinkBase64ToDurations(base64) {
-  const packet = Buffer.from(base64, "base64");
-  if (packet[0] !== 0x26) {
-    throw new Error(`Unsupported Broadlink packet type: 0x${packet[0].toString(16)}`);
+const BROADLINK_PACKET_TYPES = {
+  0x26: "ir",
+  0xb2: "rf433",
+  0xd7: "rf315",
+};
+
+// A code may hold several packets back to back, each sized by its length
+// field; learned codes are often zero-padded to a 16-byte block after the last
+// one. Durations are in ticks. A packet ends with a long space, 0x0d05 ticks
+// for IR codes, which is returned as `trailer` rather than as a duration.
+function parseBroadlinkPackets(base64) {
+  const buffer = base64ToBytes(base64);
+  const packets = [];
+
+  for (let offset = 0; offset + 4 <= buffer.length && buffer[offset] !== 0x00; ) {
+    const type = BROADLINK_PACKET_TYPES[buffer[offset]];
+    if (!type) {
+      throw new Error(`Unsupported Broadlink packet type: 0x${buffer[offset].toString(16)}`);
+    }
+
+    const length = buffer[offset + 2] | (buffer[offset + 3] << 8);
+    const end = offset + 4 + length;
+    if (end > buffer.length) {
+      throw new Error(
+        `Broadlink packet declares ${length} bytes but only ${buffer.length - offset - 4} follow`,
+      );
+    }
+
+    // Some encoders end on a bare 0x0d 0x05 after the last mark
+    const bareTerminator =
+      buffer[end - 2] === 0x0d && buffer[end - 1] === 0x05 && buffer[end - 3] !== 0x00;
+    const dataEnd = bareTerminator ? end - 2 : end;
+    const durations = [];
+    for (let i = offset + 4; i < dataEnd; i += 1) {
+      if (buffer[i] === 0x00) {
+        if (i + 2 >= dataEnd) break;
+        durations.push((buffer[i + 1] << 8) | buffer[i + 2]);
+        i += 2;
+      } else {
+        durations.push(buffer[i]);
+      }
+    }
+
+    const trailer = durations.length % 2 === 0 ? durations.pop() ?? null : null;
+    packets.push({ type, repeat: buffer[offset + 1], durations, trailer });
+    offset = end;
   }
 
+  if (packets.length === 0) throw new Error("No Broadlink packet found");
+  return packets;
+}
+
+// Tick durations of every IR packet in the code, joined by each packet's trailer
+function broadlinkBase64ToDurations(base64) {
+  const packets = parseBroadlinkPackets(base64);
   const durations = [];
-  const payloadEnd = packet.length - 2;
-  for (let i = 4; i < payloadEnd; i += 1) {
-    if (packet[i] === 0x00) {
-      if (i === payloadEnd - 1) break;
-      durations.push(packet.readUInt16BE(i + 1));
-      i += 2;
-    } else {
-      durations.push(packet[i]);
+
+  packets.forEach(({ type, durations: packetDurations }, index) => {
+    if (type !== "ir") {
+      throw new Error(`Broadlink ${type} packet holds RF timings, not an IR code`);
     }
-  }
+    if (index > 0) {
+      durations.push(
+        packets[index - 1].trailer ?? Math.round(TIMING.trailerSpace / BROADLINK_TICK_US),
+      );
+    }
+    durations.push(...packetDurations);
+  });
 
   return durations;
 }
 
-function findFrameLeaders(durations) {
+// A pulse matches its TIMING value when it is within `ratio` of it, or within
+// `minimumUs` for short pulses where a fixed receiver error dominates.
+const TOLERANCE = {
+  ratio: 0.35,
+  minimumUs: 150,
+};
+
+// Frames scoring below this are rejected even when every pulse is in band
+const MIN_CONFIDENCE = 0.5;
+
+function toleranceBand(expected, tolerance = TOLERANCE) {
+  return Math.max(expected * tolerance.ratio, tolerance.minimumUs);
+}
+
+function withinTolerance(micros, expected, tolerance = TOLERANCE) {
+  return Math.abs(micros - expected) <= toleranceBand(expected, tolerance);
+}
+
+function findFrameLeaders(micros, timing = TIMING, tolerance = TOLERANCE) {
   const leaders = [];
-  for (let i = 0; i < durations.length - 1; i += 1) {
-    if (durations[i] > 80 && durations[i + 1] > 40 && durations[i + 1] < 80) {
+  for (let i = 0; i < micros.length - 1; i += 1) {
+    if (
+      withinTolerance(micros[i], timing.headerMark, tolerance) &&
+      withinTolerance(micros[i + 1], timing.headerSpace, tolerance)
+    ) {
       leaders.push(i);
     }
   }
   return leaders;
 }
 
-function decodeFrameAt(durations, leaderIndex, nextLeaderIndex) {
-  const dataStart = leaderIndex + 2;
-  const dataLimit = nextLeaderIndex == null ? durations.length - 1 : nextLeaderIndex - 2;
-  const rawBitCount = Math.floor((dataLimit - dataStart) / 2);
-  const bitCount = Math.floor(rawBitCount / 8) * 8;
+function jitterStats(deviations) {
+  if (deviations.length === 0) return { count: 0, mean: 0, stdDev: 0, max: 0 };
+  const mean = deviations.reduce((sum, value) => sum + value, 0) / deviations.length;
+  const variance =
+    deviations.reduce((sum, value) => sum + (value - mean) ** 2, 0) / deviations.length;
+  return {
+    count: deviations.length,
+    mean: Math.round(mean),
+    stdDev: Math.round(Math.sqrt(variance)),
+    max: Math.round(Math.max(...deviations.map(Math.abs))),
+  };
+}
+
+// Decodes the bits after the header at `leaderIndex` until the next header or
+// the first space longer than a header space (the inter-frame gap). Every
+// mark and space is scored against its TIMING value; bits are read from the
+// nearest space value, and the diagnostics say how far the capture can be
+// trusted.
+function decodeFrameAt(
+  micros,
+  leaderIndex,
+  nextLeaderIndex,
+  timing = TIMING,
+  tolerance = TOLERANCE,
+) {
+  const limit = nextLeaderIndex == null ? micros.length : nextLeaderIndex;
+  const gapThreshold = timing.headerSpace + toleranceBand(timing.headerSpace, tolerance);
+  const deviations = { header: [], mark: [], zeroSpace: [], oneSpace: [] };
+  const expectedAt = new Map();
+  const outside = [];
+  const scores = [];
   const bits = [];
 
-  for (let offset = 0; offset < bitCount; offset += 1) {
-    const space = durations[dataStart + offset * 2 + 1];
-    bits.push(space > 25 ? 1 : 0);
+  const score = (index, kind, expected) => {
+    const deviation = micros[index] - expected;
+    const band = toleranceBand(expected, tolerance);
+    expectedAt.set(index, expected);
+    deviations[kind].push(deviation);
+    scores.push(Math.max(0, 1 - Math.abs(deviation) / band));
+    if (Math.abs(deviation) > band) {
+      outside.push({
+        index,
+        kind,
+        micros: Math.round(micros[index]),
+        expected: Math.round(expected),
+      });
+    }
+  };
+
+  score(leaderIndex, "header", timing.headerMark);
+  score(leaderIndex + 1, "header", timing.headerSpace);
+  let index = leaderIndex + 2;
+  for (; index + 1 < limit; index += 2) {
+    const space = micros[index + 1];
+    if (space > gapThreshold) break;
+
+    const one = Math.abs(space - timing.oneSpace) < Math.abs(space - timing.zeroSpace);
+    score(index, "mark", timing.bitMark);
+    score(index + 1, one ? "oneSpace" : "zeroSpace", one ? timing.oneSpace : timing.zeroSpace);
+    bits.push(one ? 1 : 0);
   }
+  // The footer mark closes the frame
+  if (index < limit) score(index, "mark", timing.bitMark);
 
   const bytes = [];
-  for (let i = 0; i < bits.length; i += 8) {
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
     let value = 0;
     for (let bit = 0; bit < 8; bit += 1) {
       value |= bits[i + bit] << bit;
@@ -113,228 +237,788 @@ function decodeFrameAt(durations, leaderIndex, nextLeaderIndex) {
     bytes.push(value);
   }
 
-  return bytes;
+  // A receiver that samples an edge late stretches one pulse and shortens its
+  // neighbor by the same amount; the pair still sums to the expected period,
+  // so the bits are intact and the pulse is reported as a shifted edge.
+  const shifted = (index) =>
+    [index - 1, index + 1].some(
+      (neighbor) =>
+        expectedAt.has(neighbor) &&
+        Math.abs(
+          micros[index] + micros[neighbor] - expectedAt.get(index) - expectedAt.get(neighbor),
+        ) <= tolerance.minimumUs,
+    );
+  const shiftedEdges = outside.filter(({ index }) => shifted(index));
+  const outOfTolerance = outside.filter(({ index }) => !shifted(index));
+
+  const leftoverBits = bits.length % 8;
+  const confidence = Number(
+    (scores.reduce((sum, value) => sum + value, 0) / scores.length).toFixed(3),
+  );
+  let rejected = null;
+  if (bytes.length === 0) {
+    rejected = "no data bits after the header";
+  } else if (outOfTolerance.length > 0) {
+    rejected = `${outOfTolerance.length} pulse(s) outside tolerance`;
+  } else if (leftoverBits > 0) {
+    rejected = `${leftoverBits} leftover bit(s) after ${bytes.length} byte(s)`;
+  } else if (confidence < MIN_CONFIDENCE) {
+    rejected = `confidence ${confidence} below ${MIN_CONFIDENCE}`;
+  }
+
+  return {
+    bytes,
+    diagnostics: {
+      start: leaderIndex,
+      bits: bits.length,
+      leftoverBits,
+      jitter: {
+        header: jitterStats(deviations.header),
+        mark: jitterStats(deviations.mark),
+        zeroSpace: jitterStats(deviations.zeroSpace),
+        oneSpace: jitterStats(deviations.oneSpace),
+      },
+      outOfTolerance,
+      shiftedEdges,
+      confidence,
+      rejected,
+    },
+  };
 }
 
-function decodeBroadlinkBase64(base64) {
-  const durations = broadlinkBase64ToDurations(base64);
-  const leaders = findFrameLeaders(durations);
+function decodeFramesWithDiagnostics(micros, timing = TIMING, tolerance = TOLERANCE) {
+  const leaders = findFrameLeaders(micros, timing, tolerance);
   return leaders.map((leader, index) =>
-    decodeFrameAt(durations, leader, leaders[index + 1]),
+    decodeFrameAt(micros, leader, leaders[index + 1], timing, tolerance),
   );
 }
 
-function decodeStateFrame(bytes) {
-  if (bytes.length !== STATE_LENGTH) {
-    throw new Error(`State frame must be 19 bytes, got ${bytes.length}`);
-  }
+// Throws with the reason instead of returning bytes from a noisy capture
+function decodeMicroseconds(micros, timing = TIMING, tolerance = TOLERANCE) {
+  const frames = decodeFramesWithDiagnostics(micros, timing, tolerance);
+  frames.forEach(({ diagnostics }, index) => {
+    if (diagnostics.rejected) {
+      throw new Error(`Frame ${index + 1} rejected: ${diagnostics.rejected}`);
+    }
+  });
+  return frames.map(({ bytes }) => bytes);
+}
+
+// The decoders below read pulses against the model's timing
+function decodeDurations(ticks, model = ARC480A48) {
+  return decodeMicroseconds(ticks.map(broadlinkTicks), model.timing);
+}
+
+// Repeated identical transmissions decode to one set of frames; differing
+// ones are returned one after another
+function decodeBroadlinkBase64(base64, model = ARC480A48) {
+  const { transmissions, identical } = decodeBroadlinkPacket(base64, model);
+  return identical ? transmissions[0] || [] : transmissions.flat();
+}
+
+function decodePronto(pronto, model = ARC480A48) {
+  return decodeMicroseconds(prontoToDurations(pronto).durations, model.timing);
+}
+
+// IRrecvDumpV2, LIRC mode2 or logic analyzer CSV text; see raw_timings.js
+function decodeRawTimings(text, format, model = ARC480A48, options = {}) {
+  return decodeMicroseconds(parseRawTimings(text, format, options).durations, model.timing);
+}
+
+// Broadlink codes keep the final packet's trailer as the last space
+function captureToMicroseconds(value) {
+  if (isPronto(value)) return prontoToDurations(value).durations;
+
+  const ticks = broadlinkBase64ToDurations(value);
+  const { trailer } = parseBroadlinkPackets(value).pop();
+  return (trailer == null ? ticks : [...ticks, trailer]).map(broadlinkTicks);
+}
+
+// Splits a capture on spaces longer than half the trailer: each part is one
+// transmission of the whole command
+function splitTransmissions(micros, timing = TIMING) {
+  const transmissions = [[]];
+  micros.forEach((value, index) => {
+    if (index % 2 === 1 && value > timing.trailerSpace / 2) {
+      transmissions.push([]);
+    } else {
+      transmissions[transmissions.length - 1].push(value);
+    }
+  });
+  return transmissions.filter((transmission) => transmission.length > 0);
+}
 
-  const mode = (bytes[5] >> 4) & 0x07;
-  const fan = (bytes[8] >> 4) & 0x0f;
-  const swingCode = bytes[8] & 0x0f;
-  const econo = (bytes[16] & 0x04) !== 0;
-  const sensor = (bytes[16] & 0x08) !== 0;
-  const modeName = MODE_NAME[mode] || `unknown_${mode}`;
+function decodeBroadlinkPacket(base64, model = ARC480A48) {
+  const packets = parseBroadlinkPackets(base64);
+  const transmissions = splitTransmissions(captureToMicroseconds(base64), model.timing)
+    .map((micros) => decodeMicroseconds(micros, model.timing))
+    .filter((frames) => frames.length > 0);
+  const signature = (frames) => frames.map(bytesToHex).join("|");
 
   return {
-    protocol: "IRDaikin152",
-    bytes: bytesToHex(bytes),
-    checksum: {
-      expected: checksum(bytes),
-      actual: bytes[STATE_LENGTH - 1],
-      valid: checksum(bytes) === bytes[STATE_LENGTH - 1],
-    },
-    power: (bytes[5] & 0x01) !== 0,
-    mode: modeName,
-    temperature: decodeTemperature(bytes, modeName),
-    fanMode: FAN_NAME[fan] || `unknown_${fan}`,
-    swing: swingCode === 0x0f,
-    powerful: (bytes[13] & 0x01) !== 0,
-    quiet: (bytes[13] & 0x20) !== 0,
-    comfort: (bytes[16] & 0x02) !== 0,
-    econo,
-    sensor,
-    powerSavingMode: econo && sensor ? "econo_plus" : econo ? "econo" : "none",
+    packets: packets.map(({ type, repeat, durations, trailer }) => ({
+      type,
+      repeat,
+      durations: durations.length,
+      trailer,
+    })),
+    transmissions,
+    identical: transmissions.every(
+      (frames) => signature(frames) === signature(transmissions[0]),
+    ),
   };
 }
 
-function decodeTemperature(bytes, modeName) {
-  if (modeName === "cool") return bytes[6] / 2;
-  if (modeName === "dry") return 18;
-  return null;
+function decodeCapture(value, model = ARC480A48) {
+  return isPronto(value) ? decodePronto(value, model) : decodeBroadlinkBase64(value, model);
 }
 
-function encodeStateFrame(state = {}) {
-  const frame = stateReset();
-  const modeName = state.mode || "cool";
-  const mode = MODE[modeName];
-  if (mode == null) {
-    throw new Error(`Unsupported mode: ${state.mode}`);
+const STATE_FIELDS = [
+  { name: "header", byte: 0, bit: 0, width: 24, fixed: 0x27da11 },
+  { name: "power", byte: 5, bit: 0, width: 1, default: true },
+  { name: "mode", byte: 5, bit: 4, width: 3, values: Object.entries(MODE), default: "cool" },
+  // Counted in steps of 1/scale C
+  {
+    name: "temperature",
+    byte: 6,
+    bit: 0,
+    width: 8,
+    scale: 2,
+    default: 24,
+    encode: encodeTemperature,
+    decode: decodeTemperature,
+  },
+  {
+    name: "swing",
+    byte: 8,
+    bit: 0,
+    width: 4,
+    values: [
+      [false, 0x0],
+      [true, 0xf],
+    ],
+    default: true,
+  },
+  { name: "fanMode", byte: 8, bit: 4, width: 4, values: Object.entries(FAN), default: "auto" },
+  { name: "powerful", byte: 13, bit: 0, width: 1, default: false },
+  { name: "quiet", byte: 13, bit: 5, width: 1, default: false },
+  { name: "marker15", byte: 15, bit: 0, width: 8, fixed: 0xc5 },
+  { name: "comfort", byte: 16, bit: 1, width: 1, default: false },
+  { name: "econo", byte: 16, bit: 2, width: 1, default: false },
+  { name: "sensor", byte: 16, bit: 3, width: 1, default: false },
+  { name: "marker17", byte: 17, bit: 0, width: 8, fixed: 0x08 },
+];
+
+// The power-off command is three frames: two 8-byte frames, then a 19-byte
+// frame carrying the state the unit is switched off in. Its layout matches the
+// state frame except for bit 3 of byte 5, the disabled timers (0x600 in both
+// 12-bit halves) and the byte 15 marker. Bytes 16-17 are always zero, so the
+// power saving and sensor bits are not part of it.
+const OFF_STATE_FIELDS = [
+  ...STATE_FIELDS.filter(
+    ({ name }) => !["marker15", "comfort", "econo", "sensor", "marker17"].includes(name),
+  ),
+  { name: "offMarker", byte: 5, bit: 3, width: 1, fixed: 1 },
+  { name: "onTimer", byte: 10, bit: 0, width: 12, fixed: 0x600 },
+  { name: "offTimer", byte: 11, bit: 4, width: 12, fixed: 0x600 },
+  { name: "marker15", byte: 15, bit: 0, width: 8, fixed: 0xc1 },
+];
+
+const SHORT_FRAME_FIELDS = [
+  { name: "header", byte: 0, bit: 0, width: 24, fixed: 0x27da11 },
+];
+
+const PREAMBLE_FIELDS = [
+  ...SHORT_FRAME_FIELDS,
+  { name: "marker4", byte: 4, bit: 0, width: 8, fixed: 0xc5 },
+];
+
+// The second frame carries the remote's clock: minutes since midnight and the
+// day of the week. The defaults are the values of the proven off capture.
+const CLOCK_FIELDS = [
+  ...SHORT_FRAME_FIELDS,
+  { name: "marker4", byte: 4, bit: 0, width: 8, fixed: 0x42 },
+  // 11 bits, but only up to 23:59
+  {
+    name: "clock",
+    byte: 5,
+    bit: 0,
+    width: 11,
+    numeric: true,
+    maximum: 24 * 60 - 1,
+    default: 850,
+  },
+  { name: "weekday", byte: 6, bit: 3, width: 3, numeric: true, default: 6 },
+];
+
+// Frame layouts by kind; a frame takes the first layout of its length whose
+// fixed fields all match, or else the first layout of its length
+const FRAME_LAYOUTS = [
+  { kind: "state", length: STATE_LENGTH, fields: STATE_FIELDS },
+  { kind: "off", length: STATE_LENGTH, fields: OFF_STATE_FIELDS },
+  { kind: "preamble", length: SHORT_FRAME_LENGTH, fields: PREAMBLE_FIELDS },
+  { kind: "clock", length: SHORT_FRAME_LENGTH, fields: CLOCK_FIELDS },
+];
+
+const POWER_SAVING_MODES = ["none", "econo", "econo_plus"];
+
+const FAN_MODES = ["auto", "night", "level1", "level2", "level3", "level4", "level5"];
+
+const SWING_MODES = [
+  "on",
+  "on_power_saving",
+  "on_power_saving_plus",
+  "comfort",
+  "comfort_power_saving",
+  "comfort_power_saving_plus",
+  "off",
+  "off_power_saving",
+  "off_power_saving_plus",
+];
+
+const ARC480A48 = {
+  name: "arc480a48",
+  remote: "ARC480A48",
+  protocol: "IRDaikin152",
+  manufacturer: "Daikin",
+  supportedModels: ["ftkc20tvm4"],
+  stateLength: STATE_LENGTH,
+  frequency: 38000,
+  timing: TIMING,
+  modes: MODE,
+  fans: FAN,
+  fields: STATE_FIELDS,
+  shortFrameLength: SHORT_FRAME_LENGTH,
+  shortFrameFields: SHORT_FRAME_FIELDS,
+  layouts: FRAME_LAYOUTS,
+  offSequence: ["preamble", "clock", "off"],
+  // The off frame carries the state the unit is switched off from, so callers
+  // that track it (the controller, the remote, the MQTT bridge) pass the whole
+  // state with power false. A bare {"power": false} has no state to report;
+  // its missing fields take the values of the one off code learned from the
+  // remote, so it still encodes to exactly that code. Any mode makes a valid
+  // off frame; fan_only is only what that capture happened to carry.
+  offDefaults: { mode: "fan_only", fanMode: "auto", swing: false },
+  stateToFields,
+  // Relative to this directory, so the model carries no Node path handling
+  provenCommandsPath: "assert/9999.json",
+  capabilities: {
+    minTemperature: 16,
+    maxTemperature: 32,
+    precision: 0.5,
+    operationModes: ["dry", "cool", "fan_only"],
+    // Modes whose frame carries the set temperature; dry and fan use fixed bytes
+    setpointModes: ["cool"],
+    fanModes: [...FAN_MODES, ...FAN_MODES.map((fanMode) => `${fanMode}_quiet`)],
+    swingModes: SWING_MODES,
+    powerSavingModes: POWER_SAVING_MODES,
+    // Modes whose frame always sets the sensor bit, which is all that tells
+    // econo plus from econo, so in them both send the same frame
+    sensorModes: ["cool", "fan_only"],
+    commandModes: {
+      cool: { fanModes: FAN_MODES, swingModes: SWING_MODES },
+      dry: { fanModes: ["auto"], swingModes: ["on"] },
+      fan_only: { fanModes: FAN_MODES, swingModes: ["on", "off"] },
+    },
+  },
+};
+
+function readField(bytes, field) {
+  let value = 0;
+  for (let i = 0; i < field.width; i += 1) {
+    const position = field.byte * 8 + field.bit + i;
+    value |= ((bytes[position >> 3] >> (position & 7)) & 1) << i;
   }
+  return value >>> 0;
+}
 
-  const fanMode = normalizeFanMode(state.fanMode || "auto", state.quiet);
-  const fan = FAN[fanMode];
-  if (fan == null) {
-    throw new Error(`Unsupported fanMode: ${state.fanMode || fanMode}`);
+function writeField(bytes, field, value) {
+  for (let i = 0; i < field.width; i += 1) {
+    const position = field.byte * 8 + field.bit + i;
+    const mask = 1 << (position & 7);
+    if ((value >>> i) & 1) {
+      bytes[position >> 3] |= mask;
+    } else {
+      bytes[position >> 3] &= ~mask;
+    }
   }
+}
 
-  frame[5] = (mode << 4) | (state.power === false || state.power === "off" ? 0 : 1);
-  frame[8] = (fan << 4) | (state.swing === false ? 0x00 : 0x0f);
+function encodeFieldValue(field, value, fields, model) {
+  if (field.encode) return field.encode(value, fields, model, field);
+  if (field.numeric) {
+    const maximum = field.maximum ?? 2 ** field.width - 1;
+    if (!Number.isInteger(value) || value < 0 || value > maximum) {
+      throw new Error(`Unsupported ${field.name}: ${value}`);
+    }
+    return value;
+  }
+  if (field.values) {
+    const entry = field.values.find(([name]) => name === value);
+    if (!entry) throw new Error(`Unsupported ${field.name}: ${value}`);
+    return entry[1];
+  }
+  return value ? 1 : 0;
+}
 
-  if (modeName === "cool") {
-    const temperature = state.temperature ?? 24;
-    if (!Number.isFinite(temperature)) {
-      throw new Error("Cool mode requires a numeric temperature");
+function decodeFieldValue(field, raw, fields, model) {
+  if (field.decode) return field.decode(raw, fields, model, field);
+  if (field.numeric) return raw;
+  if (field.values) {
+    const entry = field.values.find(([, code]) => code === raw);
+    return entry ? entry[0] : `unknown_${raw}`;
+  }
+  return raw !== 0;
+}
+
+function fieldMask(fields, length) {
+  const mask = new Array(length).fill(0x00);
+  for (const field of fields) {
+    writeField(mask, field, 2 ** field.width - 1);
+  }
+  mask[length - 1] = 0xff;
+  return mask;
+}
+
+function unknownBits(bytes, fields) {
+  const mask = fieldMask(fields, bytes.length);
+  const bits = [];
+
+  for (let index = 0; index < bytes.length; index += 1) {
+    for (let bit = 0; bit < 8; bit += 1) {
+      if (bytes[index] & ~mask[index] & (1 << bit)) bits.push({ byte: index, bit });
     }
-    if (temperature < 16 || temperature > 32 || temperature * 2 % 1 !== 0) {
-      throw new Error("Cool temperature must be 16..32C in 0.5C increments");
+  }
+
+  for (const field of fields) {
+    if (field.fixed == null) continue;
+    const diff = readField(bytes, field) ^ field.fixed;
+    for (let i = 0; i < field.width; i += 1) {
+      if (!((diff >>> i) & 1)) continue;
+      const position = field.byte * 8 + field.bit + i;
+      bits.push({ byte: position >> 3, bit: position & 7, field: field.name });
     }
-    frame[6] = Math.round(temperature * 2);
-  } else if (modeName === "dry") {
-    frame[6] = 0xc0;
-  } else if (modeName === "fan_only") {
-    frame[6] = 0x32;
   }
 
-  if (modeName !== "dry") frame[16] |= 0x08;
+  return bits;
+}
+
+function fixedFieldsMatch(bytes, fields) {
+  return fields.every((field) => field.fixed == null || readField(bytes, field) === field.fixed);
+}
 
-  if (state.powerful) frame[13] |= 0x01;
-  if (state.quiet) frame[13] |= 0x20;
-  if (state.comfort) {
-    frame[16] |= 0x02;
-    frame[8] = (FAN.auto << 4) | 0x00;
+function detectFrameLayout(bytes, model = ARC480A48) {
+  const candidates = model.layouts.filter(({ length }) => length === bytes.length);
+  return (
+    candidates.find(({ fields }) => fixedFieldsMatch(bytes, fields)) ||
+    candidates[0] || { kind: "unknown", length: bytes.length, fields: [] }
+  );
+}
+
+function decodeFields(bytes, fields, model) {
+  const values = {};
+  for (const field of fields) {
+    if (field.fixed != null) continue;
+    values[field.name] = decodeFieldValue(field, readField(bytes, field), values, model);
   }
+  return values;
+}
 
-  const powerSavingMode = state.powerSavingMode || (state.econo ? "econo" : "none");
-  if (powerSavingMode === "econo" || powerSavingMode === "econo_plus") {
-    frame[16] |= 0x04;
-  } else if (powerSavingMode !== "none") {
-    throw new Error(`Unsupported powerSavingMode: ${powerSavingMode}`);
+function frameChecksum(bytes) {
+  const last = bytes.length - 1;
+  return {
+    expected: checksum(bytes),
+    actual: bytes[last],
+    valid: checksum(bytes) === bytes[last],
+  };
+}
+
+function decodeStateFrame(bytes, model = ARC480A48) {
+  if (bytes.length !== model.stateLength) {
+    throw new Error(`State frame must be ${model.stateLength} bytes, got ${bytes.length}`);
   }
 
-  if (powerSavingMode === "econo_plus" || state.sensor) frame[16] |= 0x08;
+  const fields = decodeFields(bytes, model.fields, model);
+  return {
+    protocol: model.protocol,
+    bytes: bytesToHex(bytes),
+    checksum: frameChecksum(bytes),
+    ...fields,
+    powerSavingMode:
+      fields.econo && fields.sensor ? "econo_plus" : fields.econo ? "econo" : "none",
+    unknownBits: unknownBits(bytes, model.fields),
+  };
+}
+
+// Decodes any frame of the protocol with the layout that fits it
+function decodeFrame(bytes, model = ARC480A48) {
+  const layout = detectFrameLayout(bytes, model);
+  if (layout.kind === "state") return { kind: "state", ...decodeStateFrame(bytes, model) };
+  if (layout.kind === "unknown") return { kind: "unknown", bytes: bytesToHex(bytes) };
+
+  return {
+    kind: layout.kind,
+    protocol: model.protocol,
+    bytes: bytesToHex(bytes),
+    checksum: frameChecksum(bytes),
+    ...decodeFields(bytes, layout.fields, model),
+    unknownBits: unknownBits(bytes, layout.fields),
+  };
+}
+
+function decodeTemperature(raw, fields, model, field) {
+  if (fields.mode === "cool") return raw / field.scale;
+  if (fields.mode === "dry") return 18;
+  return null;
+}
+
+function encodeTemperature(temperature, fields, model, field) {
+  if (fields.mode === "dry") return 0xc0;
+  if (fields.mode === "fan_only") return 0x32;
+
+  const { minTemperature, maxTemperature, precision } = model.capabilities;
+  if (!Number.isFinite(temperature)) {
+    throw new Error("Cool mode requires a numeric temperature");
+  }
+  if (
+    temperature < minTemperature ||
+    temperature > maxTemperature ||
+    (temperature / precision) % 1 !== 0
+  ) {
+    throw new Error(
+      `Cool temperature must be ${minTemperature}..${maxTemperature}C in ${precision}C increments`,
+    );
+  }
+  return Math.round(temperature * field.scale);
+}
 
+function stateToFields(state, model) {
   if (state.mold) {
     throw new Error("Mold is not represented by IRremoteESP8266 IRDaikin152");
   }
 
-  if (state.powerful) {
-    frame[13] &= ~0x20;
-    frame[16] &= ~0x06;
+  const fields = {};
+  for (const field of model.fields) {
+    if (field.fixed != null) continue;
+    fields[field.name] = state[field.name] ?? field.default;
   }
 
-  frame[STATE_LENGTH - 1] = checksum(frame);
+  const powerSavingMode = state.powerSavingMode || (state.econo ? "econo" : "none");
+  if (!POWER_SAVING_MODES.includes(powerSavingMode)) {
+    throw new Error(`Unsupported powerSavingMode: ${powerSavingMode}`);
+  }
 
-  return frame;
+  fields.power = !(state.power === false || state.power === "off");
+  fields.fanMode = normalizeFanMode(fields.fanMode, state.quiet);
+  fields.swing = state.swing !== false;
+  fields.econo = powerSavingMode !== "none";
+  fields.sensor =
+    model.capabilities.sensorModes.includes(fields.mode) ||
+    powerSavingMode === "econo_plus" ||
+    Boolean(state.sensor);
+
+  if (fields.comfort) {
+    fields.fanMode = "auto";
+    fields.swing = false;
+  }
+
+  if (fields.powerful) {
+    fields.quiet = false;
+    fields.comfort = false;
+    fields.econo = false;
+  }
+
+  return fields;
 }
 
-function stateReset() {
-  const frame = new Array(STATE_LENGTH).fill(0x00);
-  frame[0] = 0x11;
-  frame[1] = 0xda;
-  frame[2] = 0x27;
-  frame[15] = 0xc5;
-  frame[17] = 0x08;
+function encodeFields(fields, length, values, model) {
+  const frame = new Array(length).fill(0x00);
+
+  for (const field of fields) {
+    const value =
+      field.fixed != null
+        ? field.fixed
+        : encodeFieldValue(field, values[field.name] ?? field.default, values, model);
+    writeField(frame, field, value);
+  }
+
+  frame[length - 1] = checksum(frame);
+
   return frame;
 }
 
+function encodeStateFrame(state = {}, model = ARC480A48) {
+  assertValidState(state, model);
+  const fields = model.stateToFields(state, model);
+  return encodeFields(model.fields, model.stateLength, fields, model);
+}
+
 function normalizeFanMode(fanMode, quiet) {
   return fanMode;
 }
 
-function framesForState(state) {
-  if (state.power === false || state.power === "off") {
-    return OFF_FRAMES.map((frame) => frame.slice());
-  }
+// The off sequence carries the requested state (mode, temperature, fan, swing,
+// powerful, quiet) with the power bit cleared; `clock` and `weekday` set the
+// second frame.
+function offFrames(state, model = ARC480A48) {
+  assertValidState(state, model);
+  const values = { ...state, ...model.stateToFields({ ...model.offDefaults, ...state }, model) };
+  return model.offSequence.map((kind) => {
+    const layout = model.layouts.find((candidate) => candidate.kind === kind);
+    return encodeFields(layout.fields, layout.length, values, model);
+  });
+}
+
+function framesForState(state, model = ARC480A48) {
+  if (state.power === false || state.power === "off") return offFrames(state, model);
 
-  return [encodeStateFrame(state)];
+  return [encodeStateFrame(state, model)];
 }
 
-function stateToBroadlinkBase64(state) {
-  return framesToBroadlinkBase64(framesForState(state));
+// `timing` defaults to the model's; pass a calibrated profile for remotes or
+// receivers that need slightly different pulse lengths
+function stateToBroadlinkBase64(state, model = ARC480A48, timing = model.timing, options = {}) {
+  return framesToBroadlinkBase64(framesForState(state, model), timing, options);
 }
 
-function framesToBroadlinkBase64(frames) {
+// The leader bits only precede the first frame; later frames follow the
+// previous footer mark after the frame space
+function framesToDurations(frames, timing = TIMING) {
   const durations = [];
   for (const frame of frames) {
-    for (let i = 0; i < TIMING.leaderBits; i += 1) {
-      durations.push(TIMING.bitMark, TIMING.zeroSpace);
+    if (durations.length > 0) {
+      durations.push(timing.frameSpace);
+    } else {
+      for (let i = 0; i < timing.leaderBits; i += 1) {
+        durations.push(timing.bitMark, timing.zeroSpace);
+      }
+      durations.push(timing.bitMark, timing.gap);
     }
-    durations.push(TIMING.bitMark, TIMING.gap, TIMING.headerMark, TIMING.headerSpace);
+    durations.push(timing.headerMark, timing.headerSpace);
 
     for (const byte of frame) {
       for (let bit = 0; bit < 8; bit += 1) {
         durations.push(
-          TIMING.bitMark,
-          byte & (1 << bit) ? TIMING.oneSpace : TIMING.zeroSpace,
+          timing.bitMark,
+          byte & (1 << bit) ? timing.oneSpace : timing.zeroSpace,
         );
       }
     }
 
-    durations.push(TIMING.bitMark);
+    durations.push(timing.bitMark);
   }
 
-  return durationsToBroadlinkBase64(durations);
+  return durations;
 }
 
-function durationsToBroadlinkBase64(durations) {
-  const payload = [];
-  for (const micros of durations) {
-    const ticks = Math.max(1, Math.round(micros / BROADLINK_TICK_US));
-    if (ticks > 0xff) {
-      payload.push(0x00, (ticks >> 8) & 0xff, ticks & 0xff);
-    } else {
-      payload.push(ticks);
-    }
+// `transmissions` sends the whole command that many times in one packet,
+// separated by the trailer; `repeat` asks the device to replay the packet
+function framesToBroadlinkBase64(frames, timing = TIMING, { repeat = 0, transmissions = 1 } = {}) {
+  if (!Number.isInteger(transmissions) || transmissions < 1) {
+    throw new Error(`Transmissions must be a positive integer, got ${transmissions}`);
   }
 
-  payload.push(0x00);
+  const durations = framesToDurations(frames, timing);
+  const sequence = [];
+  for (let i = 0; i < transmissions; i += 1) {
+    if (i > 0) sequence.push(timing.trailerSpace);
+    sequence.push(...durations);
+  }
+  return durationsToBroadlinkBase64(sequence, { repeat, trailerSpace: timing.trailerSpace });
+}
 
-  const packet = Buffer.alloc(4 + payload.length + 2);
-  packet[0] = 0x26;
-  packet[1] = 0x00;
-  packet.writeUInt16LE(payload.length + 2, 2);
-  Buffer.from(payload).copy(packet, 4);
-  packet[packet.length - 2] = 0x0d;
-  packet[packet.length - 1] = 0x05;
+function framesToPronto(frames, timing = TIMING, frequency = ARC480A48.frequency) {
+  return durationsToPronto(framesToDurations(frames, timing), frequency, timing.trailerSpace);
+}
 
-  return packet.toString("base64");
+function stateToPronto(state, model = ARC480A48, timing = model.timing) {
+  return framesToPronto(framesForState(state, model), timing, model.frequency);
+}
+
+function broadlinkTickBytes(micros) {
+  const ticks = Math.max(1, Math.round(micros / BROADLINK_TICK_US));
+  return ticks > 0xff ? [0x00, (ticks >> 8) & 0xff, ticks & 0xff] : [ticks];
+}
+
+function durationsToBroadlinkBase64(
+  durations,
+  { repeat = 0, trailerSpace = TIMING.trailerSpace } = {},
+) {
+  if (!Number.isInteger(repeat) || repeat < 0 || repeat > 0xff) {
+    throw new Error(`Broadlink repeat count must be 0..255, got ${repeat}`);
+  }
+
+  const payload = durations.flatMap(broadlinkTickBytes);
+  // The trailer is always written in the 3-byte form: 0x00 0x0d 0x05 by default
+  const trailer = Math.round(trailerSpace / BROADLINK_TICK_US);
+  payload.push(0x00, (trailer >> 8) & 0xff, trailer & 0xff);
+
+  const header = [0x26, repeat, payload.length & 0xff, (payload.length >> 8) & 0xff];
+  return bytesToBase64([...header, ...payload]);
 }
 
 function bytesToHex(bytes) {
   return bytes.map((value) => value.toString(16).padStart(2, "0")).join(" ");
 }
 
+const ENCODERS = {
+  broadlink: stateToBroadlinkBase64,
+  pronto: stateToPronto,
+};
+
+// Removes "--name value" or "--name=value" from args and returns the value
+function takeOption(args, name) {
+  for (let i = 0; i < args.length; i += 1) {
+    if (args[i] === name) return args.splice(i, 2)[1];
+    if (args[i].startsWith(`${name}=`)) return args.splice(i, 1)[0].slice(name.length + 1);
+  }
+  return undefined;
+}
+
+// The CSV channel and polarity of raw timing files
+function rawTimingOptions(args) {
+  const channel = takeOption(args, "--channel");
+  const activeHigh = args.indexOf("--active-high");
+  if (activeHigh !== -1) args.splice(activeHigh, 1);
+  return { channel, activeLow: activeHigh === -1 };
+}
+
+// Microseconds of a raw timing file; null for codes and command files
+function rawTimingsFromArgs([source, key], options) {
+  const fs = require("fs");
+  if (!source || key || !fs.existsSync(source)) return null;
+  return parseRawTimings(fs.readFileSync(source, "utf8"), undefined, options).durations;
+}
+
+function captureFromArgs([source, key], command, rawOptions) {
+  const fs = require("fs");
+  if (!source) {
+    console.error(
+      `Usage: node daikin_arc480a48.js ${command} <base64 | pronto | raw-timing-file | json-file command-key> [--channel <name>] [--active-high] [--model <name>]`,
+    );
+    process.exit(1);
+  }
+
+  // Raw timing logs from other receivers are repacked as Broadlink codes for
+  // the subcommands that read packets
+  const micros = rawTimingsFromArgs([source, key], rawOptions);
+  if (micros) return durationsToBroadlinkBase64(micros);
+  if (!key) return source;
+
+  const { flattenCommands } = require("./generate_daikin_arc480a48_states");
+  const data = JSON.parse(fs.readFileSync(source, "utf8"));
+  const value = (data.commands ? flattenCommands(data.commands) : data)[key];
+  if (!value) throw new Error(`Key not found: ${key}`);
+  return value;
+}
+
 function main() {
-  const command = process.argv[2];
+  const fs = require("fs");
+  const { MODELS, modelFromArgs } = require("./daikin_models");
+  const { model, args } = modelFromArgs(process.argv.slice(2));
+  const rawOptions = rawTimingOptions(args);
+  const command = args[0];
 
   if (command === "decode") {
-    const file = process.argv[3];
-    const key = process.argv[4];
-    if (!file || !key) {
-      console.error("Usage: node daikin_arc480a48.js decode <json-file> <command-key>");
-      process.exit(1);
+    const diagnostics = args.includes("--diagnostics");
+    const packet = args.includes("--packet");
+    const source = args.slice(1).filter((arg) => arg !== "--diagnostics" && arg !== "--packet");
+    // Raw timing files decode from their own microseconds, without Broadlink ticks
+    const micros = rawTimingsFromArgs(source, rawOptions);
+    const value = micros ? null : captureFromArgs(source, "decode", rawOptions);
+
+    // Broadlink packet structure: type, repeat count and every transmission
+    if (packet) {
+      if (micros) throw new Error("--packet needs a Broadlink code, not a raw timing file");
+      const { transmissions, ...details } = decodeBroadlinkPacket(value, model);
+      const decoded = transmissions.map((frames) =>
+        frames.map((bytes) => decodeFrame(bytes, model)),
+      );
+      console.log(JSON.stringify({ ...details, transmissions: decoded }, null, 2));
+      return;
     }
 
-    const value = JSON.parse(fs.readFileSync(file, "utf8"))[key];
-    if (!value) throw new Error(`Key not found: ${key}`);
-    const frames = decodeBroadlinkBase64(value);
-    const decoded = frames.map((bytes) =>
-      bytes.length === STATE_LENGTH ? decodeStateFrame(bytes) : { bytes: bytesToHex(bytes) },
-    );
+    // Report every frame, rejected or not, with its timing diagnostics
+    if (diagnostics) {
+      const frames = decodeFramesWithDiagnostics(
+        micros || captureToMicroseconds(value),
+        model.timing,
+      );
+      console.log(
+        JSON.stringify(
+          frames.map((frame) => ({ ...frame, bytes: bytesToHex(frame.bytes) })),
+          null,
+          2,
+        ),
+      );
+      if (frames.some((frame) => frame.diagnostics.rejected)) process.exitCode = 1;
+      return;
+    }
+
+    const frames = micros ? decodeMicroseconds(micros, model.timing) : decodeCapture(value, model);
+    const decoded = frames.map((bytes) => decodeFrame(bytes, model));
     console.log(JSON.stringify(decoded, null, 2));
     return;
   }
 
   if (command === "encode") {
-    const stateJson = process.argv[3];
-    if (!stateJson) {
-      console.error("Usage: node daikin_arc480a48.js encode '<state-json>'");
+    const format = takeOption(args, "--format") || "broadlink";
+    const profilePath = takeOption(args, "--timing");
+    const repeat = Number(takeOption(args, "--repeat") ?? 0);
+    const transmissions = Number(takeOption(args, "--transmissions") ?? 1);
+    const stateJson = args[1];
+    if (!stateJson || !ENCODERS[format]) {
+      console.error(
+        `Usage: node daikin_arc480a48.js encode '<state-json>' [--format ${Object.keys(ENCODERS).join("|")}] [--timing <profile.json>] [--repeat <n>] [--transmissions <n>] [--model <name>]`,
+      );
       process.exit(1);
     }
+    if (format !== "broadlink" && (repeat !== 0 || transmissions !== 1)) {
+      throw new Error("--repeat and --transmissions only apply to Broadlink packets");
+    }
 
+    const { loadTimingProfile } = require("./calibrate_timing");
+    const timing = profilePath ? loadTimingProfile(profilePath, model) : model.timing;
     const state = JSON.parse(stateJson);
-    console.log(stateToBroadlinkBase64(state));
+    console.log(ENCODERS[format](state, model, timing, { repeat, transmissions }));
+    return;
+  }
+
+  if (command === "explain") {
+    const { explainBroadlinkBase64 } = require("./explain_frame");
+    const value = captureFromArgs(args.slice(1), "explain", rawOptions);
+    console.log(explainBroadlinkBase64(value, model));
+    return;
+  }
+
+  if (command === "diff") {
+    const { diffCaptures, formatDiff } = require("./diff_captures");
+    const rest = args.slice(1);
+    let pair = rest;
+    if (rest.length === 3) {
+      pair = rest.slice(1).map((key) => captureFromArgs([rest[0], key], "diff", rawOptions));
+    } else if (rest.length !== 2) {
+      console.error(
+        "Usage: node daikin_arc480a48.js diff <base64-a> <base64-b> | <json-file> <key-a> <key-b>",
+      );
+      process.exit(1);
+    }
+
+    console.log(formatDiff(diffCaptures(pair[0], pair[1], model)));
+    return;
+  }
+
+  if (command === "identify") {
+    const { identifyCapture } = require("./identify_capture");
+    const value = captureFromArgs(args.slice(1), "identify", rawOptions);
+    console.log(JSON.stringify(identifyCapture(value, model), null, 2));
+    return;
+  }
+
+  if (command === "models") {
+    for (const entry of Object.values(MODELS)) {
+      console.log(`${entry.name}\t${entry.protocol}\t${entry.supportedModels.join(", ")}`);
+    }
     return;
   }
 
@@ -342,25 +1026,66 @@ function main() {
     console.error("Usage:");
     console.error("  node daikin_arc480a48.js decode src/cool.on.auto.json cool-on-auto-24");
     console.error("  node daikin_arc480a48.js encode '{\"mode\":\"cool\",\"temperature\":24.5}'");
+    console.error(
+      "  node daikin_arc480a48.js encode '{\"mode\":\"cool\",\"temperature\":24.5}' --format pronto",
+    );
+    console.error("  node daikin_arc480a48.js explain assert/9999.json off");
+    console.error("  node daikin_arc480a48.js identify JgBEAQ4ODg4ODg4ODg4OAAMt...");
+    console.error(
+      "  node daikin_arc480a48.js diff src/daikin_arc480a48.all_states.json cool-on-auto-24 cool-on-auto_quiet-24",
+    );
+    console.error("  node daikin_arc480a48.js models");
+    console.error("");
+    console.error("Options:");
+    console.error("  --model <name>   Remote model from the registry (default: arc480a48)");
     process.exit(1);
   }
 }
 
-if (require.main === module) {
-  main();
-}
-
 module.exports = {
   broadlinkBase64ToDurations,
+  bytesToHex,
+  captureToMicroseconds,
   checksum,
   decodeBroadlinkBase64,
+  decodeBroadlinkPacket,
+  decodeCapture,
+  decodeDurations,
+  decodeFrame,
+  decodeFrameAt,
+  decodeFramesWithDiagnostics,
+  decodeMicroseconds,
+  decodePronto,
+  decodeRawTimings,
   decodeStateFrame,
+  detectFrameLayout,
   durationsToBroadlinkBase64,
   encodeStateFrame,
   framesToBroadlinkBase64,
+  framesToDurations,
+  framesToPronto,
   findFrameLeaders,
   framesForState,
+  offFrames,
+  parseBroadlinkPackets,
+  splitTransmissions,
+  readField,
   stateToBroadlinkBase64,
-  OFF_FRAMES,
+  stateToPronto,
+  takeOption,
+  ARC480A48,
+  BROADLINK_TICK_US,
+  FAN,
+  FRAME_LAYOUTS,
+  MODE,
+  OFF_STATE_FIELDS,
+  SHORT_FRAME_FIELDS,
+  STATE_FIELDS,
   TIMING,
+  TOLERANCE,
 };
+
+// Run after exports so the model registry can require this module from main()
+if (require.main === module) {
+  main();
+}
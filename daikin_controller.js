@@ -0,0 +1,285 @@
+const { ARC480A48, stateToBroadlinkBase64 } = require("./daikin_arc480a48");
+const { modelFromArgs } = require("./daikin_models");
+
+/**
+ * Stateful controller for partial and relative updates
+ *
+ * Holds the current AC state and applies updates on top of it. An update can
+ * set values or change them relatively:
+ * - temperature: a number, `"+0.5"` / `"-1"` or `{ by: 0.5 }`; relative steps
+ *   are rounded to the model precision and clamped to its range. null is
+ *   taken in modes without a setpoint; switching back to one restores the
+ *   last setpoint, or the model default
+ * - mode, fanMode, powerSavingMode: a value, `"next"` or `"previous"`
+ * - power, swing, quiet, comfort, powerful: a boolean or `"toggle"`
+ *
+ * The frame cannot hold every combination, so the interaction rules below
+ * resolve conflicts. The field the update asked for wins; when it asked for
+ * both or neither, the rule's first field wins, as the encoder would decide.
+ * Every field a rule changes is reported as a side effect with the reason, so
+ * a UI can show why quiet turned off.
+ */
+
+const BOOLEAN_FIELDS = ["power", "swing", "quiet", "comfort", "powerful"];
+
+const INTERACTION_RULES = [
+  {
+    id: "powerful-quiet",
+    reason: "Powerful and quiet fan cannot run together",
+    first: { field: "powerful", active: (state) => state.powerful, clear: { powerful: false } },
+    second: { field: "quiet", active: (state) => state.quiet, clear: { quiet: false } },
+  },
+  {
+    id: "powerful-comfort",
+    reason: "Powerful and comfort airflow cannot run together",
+    first: { field: "powerful", active: (state) => state.powerful, clear: { powerful: false } },
+    second: { field: "comfort", active: (state) => state.comfort, clear: { comfort: false } },
+  },
+  {
+    id: "powerful-econo",
+    reason: "Powerful and power saving cannot run together",
+    first: { field: "powerful", active: (state) => state.powerful, clear: { powerful: false } },
+    second: {
+      field: "powerSavingMode",
+      active: (state) => state.powerSavingMode !== "none",
+      clear: { powerSavingMode: "none" },
+    },
+  },
+  {
+    id: "comfort-fan",
+    reason: "Comfort airflow runs the fan on auto",
+    first: { field: "comfort", active: (state) => state.comfort, clear: { comfort: false } },
+    second: {
+      field: "fanMode",
+      active: (state) => state.fanMode !== "auto",
+      clear: { fanMode: "auto" },
+    },
+  },
+  {
+    id: "comfort-swing",
+    reason: "Comfort airflow sets the louver itself, so swing is off",
+    first: { field: "comfort", active: (state) => state.comfort, clear: { comfort: false } },
+    second: { field: "swing", active: (state) => state.swing, clear: { swing: false } },
+  },
+];
+
+function defaultState(model = ARC480A48) {
+  const state = {};
+  for (const field of model.fields) {
+    if (field.fixed == null && field.name !== "econo" && field.name !== "sensor") {
+      state[field.name] = field.default;
+    }
+  }
+  state.powerSavingMode = "none";
+  return state;
+}
+
+function choices(field, model) {
+  if (field === "mode") return Object.keys(model.modes);
+  if (field === "fanMode") return Object.keys(model.fans);
+  if (field === "powerSavingMode") return model.capabilities.powerSavingModes;
+  return null;
+}
+
+function cycle(values, current, step) {
+  const index = values.indexOf(current);
+  return values[(index + step + values.length) % values.length];
+}
+
+// Modes without a setpoint take null, as decoded fan and dry frames carry it
+function resolveTemperature(current, value, model, mode) {
+  const { minTemperature, maxTemperature, precision, setpointModes } = model.capabilities;
+  if (value === null && !setpointModes.includes(mode)) return null;
+
+  let step = null;
+  if (value && typeof value === "object") step = Number(value.by);
+  else if (typeof value === "string" && /^[+-]/.test(value.trim())) step = Number(value);
+
+  if (step !== null) {
+    if (!Number.isFinite(step)) {
+      throw new Error(`Invalid temperature step: ${JSON.stringify(value)}`);
+    }
+    if (current === null) throw new Error(`No temperature to step from in ${mode} mode`);
+    const stepped = Math.round((current + step) / precision) * precision;
+    return Math.min(maxTemperature, Math.max(minTemperature, stepped));
+  }
+
+  const temperature = Number(value);
+  if (
+    value === null ||
+    value === "" ||
+    !Number.isFinite(temperature) ||
+    temperature < minTemperature ||
+    temperature > maxTemperature ||
+    (temperature / precision) % 1 !== 0
+  ) {
+    throw new Error(
+      `Unsupported temperature: ${JSON.stringify(value)} ` +
+        `(expected ${minTemperature}..${maxTemperature} in ${precision} steps, or a +/- step)`,
+    );
+  }
+  return temperature;
+}
+
+function resolveValue(state, field, value, model, mode = state.mode) {
+  if (field === "temperature") return resolveTemperature(state.temperature, value, model, mode);
+
+  if (BOOLEAN_FIELDS.includes(field)) {
+    if (value === "toggle") return !state[field];
+    if (typeof value !== "boolean") throw new Error(`${field} must be true, false or "toggle"`);
+    return value;
+  }
+
+  const values = choices(field, model);
+  if (!values) throw new Error(`Unknown state field: ${field}`);
+  if (value === "next") return cycle(values, state[field], 1);
+  if (value === "previous") return cycle(values, state[field], -1);
+  if (!values.includes(value)) {
+    throw new Error(
+      `Unsupported ${field}: ${value} (expected ${values.join(", ")}, next or previous)`,
+    );
+  }
+  return value;
+}
+
+// Pure form of controller.update: returns the next state and what changed.
+// `lastSetpoint` is restored when a null temperature reaches a setpoint mode.
+function applyUpdate(current, changes, model = ARC480A48, { lastSetpoint = null } = {}) {
+  const state = { ...current };
+  const requested = new Set(Object.keys(changes));
+  const changed = [];
+
+  // Temperature goes last: whether it may be null depends on the new mode
+  const fields = Object.keys(changes).filter((field) => field !== "temperature");
+  if ("temperature" in changes) fields.push("temperature");
+  for (const field of fields) {
+    const next = resolveValue(current, field, changes[field], model, state.mode);
+    if (next !== current[field]) changed.push({ field, from: current[field], to: next });
+    state[field] = next;
+  }
+
+  const sideEffects = [];
+  if (state.temperature === null && model.capabilities.setpointModes.includes(state.mode)) {
+    const to = lastSetpoint ?? defaultState(model).temperature;
+    sideEffects.push({
+      field: "temperature",
+      from: null,
+      to,
+      rule: "setpoint",
+      cause: "mode",
+      reason: `${state.mode} mode needs a set temperature, so the last one is restored`,
+    });
+    state.temperature = to;
+  }
+  for (const rule of INTERACTION_RULES) {
+    if (!rule.first.active(state) || !rule.second.active(state)) continue;
+
+    const secondWins = requested.has(rule.second.field) && !requested.has(rule.first.field);
+    const [winner, loser] = secondWins ? [rule.second, rule.first] : [rule.first, rule.second];
+    for (const [field, to] of Object.entries(loser.clear)) {
+      sideEffects.push({
+        field,
+        from: state[field],
+        to,
+        rule: rule.id,
+        cause: winner.field,
+        reason: rule.reason,
+      });
+      state[field] = to;
+    }
+  }
+
+  return { state, changed, sideEffects };
+}
+
+// Parses "temperature +0.5", "fanMode next", "swing toggle" or "quiet true"
+function parseCommand(text) {
+  const match = /^\s*(\w+)\s*(?:=|\s)\s*(.+?)\s*$/.exec(text);
+  if (!match) throw new Error(`Invalid command: ${text}. Expected "<field> <value>"`);
+
+  const [, field, raw] = match;
+  let value = raw;
+  if (raw === "true" || raw === "false") value = raw === "true";
+  else if (/^\d+(\.\d+)?$/.test(raw)) value = Number(raw);
+  return { [field]: value };
+}
+
+function createController({ model = ARC480A48, state = {}, timing = model.timing } = {}) {
+  let current = applyUpdate(defaultState(model), state, model).state;
+  let lastSetpoint = current.temperature;
+
+  function update(changes) {
+    const result = applyUpdate(current, changes, model, { lastSetpoint });
+    const packet = stateToBroadlinkBase64(result.state, model, timing);
+    current = result.state;
+    if (current.temperature !== null) lastSetpoint = current.temperature;
+    return {
+      state: { ...current },
+      packet,
+      changed: result.changed,
+      sideEffects: result.sideEffects,
+    };
+  }
+
+  return {
+    get state() {
+      return { ...current };
+    },
+    get packet() {
+      return stateToBroadlinkBase64(current, model, timing);
+    },
+    update,
+    command(text) {
+      return update(parseCommand(text));
+    },
+  };
+}
+
+function describeResult(command, result) {
+  const lines = [`> ${command}`];
+  for (const { field, from, to } of result.changed) {
+    lines.push(`  ${field}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+  }
+  for (const { field, from, to, reason } of result.sideEffects) {
+    lines.push(`  ${field}: ${JSON.stringify(from)} -> ${JSON.stringify(to)} (${reason})`);
+  }
+  if (result.changed.length === 0 && result.sideEffects.length === 0) lines.push("  (no change)");
+  return lines.join("\n");
+}
+
+function main() {
+  const { model, args } = modelFromArgs(process.argv.slice(2));
+  const [initial, ...commands] = args;
+  if (!initial || commands.length === 0) {
+    console.error("Usage: node daikin_controller.js '<initial state json>' '<command>'...");
+    console.error("");
+    console.error("Example:");
+    console.error(
+      `  node daikin_controller.js '{"mode":"cool","quiet":true}' 'temperature +0.5' 'powerful true'`,
+    );
+    process.exit(1);
+  }
+
+  const controller = createController({ model, state: JSON.parse(initial) });
+  let result = null;
+  for (const command of commands) {
+    result = controller.command(command);
+    console.log(describeResult(command, result));
+  }
+  console.log("");
+  console.log(JSON.stringify(result.state));
+  console.log(result.packet);
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  INTERACTION_RULES,
+  applyUpdate,
+  createController,
+  defaultState,
+  parseCommand,
+};
@@ -0,0 +1,56 @@
+const { ARC480A48 } = require("./daikin_arc480a48");
+const { UnknownModelError } = require("./errors");
+
+/**
+ * Registry of supported Daikin remotes
+ *
+ * Each model supplies its state frame length, timing, mode/fan tables, field
+ * layout, off sequence and capability limits. Scripts select one with
+ * `--model <name>`; indoor unit names from `supportedModels` work as aliases.
+ */
+
+const MODELS = {
+  [ARC480A48.name]: ARC480A48,
+};
+
+const DEFAULT_MODEL = ARC480A48.name;
+
+function getModel(name = DEFAULT_MODEL) {
+  const wanted = String(name).toLowerCase();
+  const model =
+    MODELS[wanted] ||
+    Object.values(MODELS).find((candidate) =>
+      candidate.supportedModels.some((supported) => supported.toLowerCase() === wanted),
+    );
+
+  if (!model) throw new UnknownModelError(name, Object.keys(MODELS));
+
+  return model;
+}
+
+function modelFromArgs(args) {
+  const rest = [];
+  let name = DEFAULT_MODEL;
+
+  for (let i = 0; i < args.length; i += 1) {
+    if (args[i] === "--model") {
+      name = args[i + 1];
+      i += 1;
+    } else if (args[i].startsWith("--model=")) {
+      name = args[i].slice("--model=".length);
+    } else {
+      rest.push(args[i]);
+    }
+  }
+
+  if (!name) throw new Error("--model requires a model name");
+
+  return { model: getModel(name), args: rest };
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  MODELS,
+  getModel,
+  modelFromArgs,
+};
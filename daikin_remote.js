@@ -0,0 +1,215 @@
+const { ARC480A48, stateToBroadlinkBase64, takeOption } = require("./daikin_arc480a48");
+const { applyUpdate, defaultState } = require("./daikin_controller");
+const { modelFromArgs } = require("./daikin_models");
+
+/**
+ * ARC480A48 button emulator
+ *
+ * Replays button presses the way the physical remote handles them and returns
+ * the state and Broadlink packet after each press:
+ * - POWER toggles the unit; off sends the three-frame off sequence
+ * - MODE steps through the model's MODE table (dry, cool, fan)
+ * - FAN steps through the speeds the mode allows, in the remote's order
+ *   (auto, night, 1-5); dry mode runs the fan on auto
+ * - TEMP_UP / TEMP_DOWN change the setpoint by the model precision in the
+ *   modes whose frame carries one. Each mode keeps its own setpoint, so
+ *   going from cool to fan and back restores the cool temperature
+ * - SWING, POWERFUL, COMFORT and QUIET toggle; ECONO steps through off,
+ *   econo and econo plus, leaving out econo plus in the modes where it sends
+ *   the same frame as econo (the model's sensorModes)
+ *
+ * The exclusions between POWERFUL, ECONO, COMFORT, QUIET, FAN and SWING are
+ * the controller's interaction rules: the button just pressed wins. While the
+ * unit is off, MODE, FAN, TEMP and SWING only change the settings and send
+ * nothing; the other buttons are ignored.
+ */
+
+const BUTTONS = [
+  "power",
+  "mode",
+  "fan",
+  "temp_up",
+  "temp_down",
+  "swing",
+  "powerful",
+  "econo",
+  "comfort",
+  "quiet",
+];
+
+// Buttons that change the remembered settings while the unit is off
+const SETTING_BUTTONS = ["mode", "fan", "temp_up", "temp_down", "swing"];
+
+function nextValue(values, current) {
+  return values[(values.indexOf(current) + 1) % values.length];
+}
+
+function temperatureChange(state, model, direction) {
+  const { precision, setpointModes } = model.capabilities;
+  if (!setpointModes.includes(state.mode)) {
+    return { ignored: `${state.mode} mode has no temperature setpoint` };
+  }
+  return { changes: { temperature: direction > 0 ? `+${precision}` : `-${precision}` } };
+}
+
+// Econo plus only differs from econo where the frame leaves the sensor bit clear
+function econoPlusIn(mode, model) {
+  return !model.capabilities.sensorModes.includes(mode);
+}
+
+// The changes a press asks for, or the reason the remote ignores it
+function buttonChanges(button, state, setpoints, model) {
+  if (button === "power") return { changes: { power: "toggle" } };
+
+  if (button === "mode") {
+    const mode = nextValue(Object.keys(model.modes), state.mode);
+    const changes = { mode };
+    if (setpoints[mode] !== undefined) changes.temperature = setpoints[mode];
+    const { fanModes } = model.capabilities.commandModes[mode];
+    if (fanModes.length === 1) changes.fanMode = fanModes[0];
+    if (state.powerSavingMode === "econo_plus" && !econoPlusIn(mode, model)) {
+      changes.powerSavingMode = "econo";
+    }
+    return { changes };
+  }
+
+  if (button === "fan") {
+    const { fanModes } = model.capabilities.commandModes[state.mode];
+    if (fanModes.length < 2) return { ignored: `The fan speed is fixed in ${state.mode} mode` };
+    return { changes: { fanMode: nextValue(fanModes, state.fanMode) } };
+  }
+
+  if (button === "temp_up") return temperatureChange(state, model, 1);
+  if (button === "temp_down") return temperatureChange(state, model, -1);
+  if (button === "econo") {
+    const steps = model.capabilities.powerSavingModes.filter(
+      (value) => value !== "econo_plus" || econoPlusIn(state.mode, model),
+    );
+    return { changes: { powerSavingMode: nextValue(steps, state.powerSavingMode) } };
+  }
+  return { changes: { [button]: "toggle" } };
+}
+
+function createRemote({
+  model = ARC480A48,
+  state = {},
+  setpoints = {},
+  timing = model.timing,
+} = {}) {
+  let current = applyUpdate(defaultState(model), state, model).state;
+  const memory = {};
+  for (const mode of model.capabilities.setpointModes) {
+    memory[mode] = setpoints[mode] ?? current.temperature;
+  }
+
+  function press(button) {
+    const name = String(button).toLowerCase();
+    if (!BUTTONS.includes(name)) {
+      throw new Error(`Unknown button: ${button}. Expected ${BUTTONS.join(", ")}`);
+    }
+
+    const running = current.power || name === "power";
+    const { changes, ignored } =
+      running || SETTING_BUTTONS.includes(name)
+        ? buttonChanges(name, current, memory, model)
+        : { ignored: `${name} only works while the unit is on` };
+    if (ignored) {
+      return {
+        button: name,
+        state: { ...current },
+        packet: null,
+        changed: [],
+        sideEffects: [],
+        ignored,
+      };
+    }
+
+    const result = applyUpdate(current, changes, model);
+    current = result.state;
+    if (memory[current.mode] !== undefined) memory[current.mode] = current.temperature;
+
+    return {
+      button: name,
+      state: { ...current },
+      packet: running ? stateToBroadlinkBase64(current, model, timing) : null,
+      changed: result.changed,
+      sideEffects: result.sideEffects,
+    };
+  }
+
+  return {
+    get state() {
+      return { ...current };
+    },
+    get setpoints() {
+      return { ...memory };
+    },
+    press,
+    pressAll(buttons) {
+      return buttons.map(press);
+    },
+  };
+}
+
+// "temp_up*3" repeats a press; spaces and commas separate presses
+function parseButtons(values) {
+  const buttons = [];
+  for (const token of [].concat(values).join(" ").split(/[\s,]+/).filter(Boolean)) {
+    const match = /^([a-z_]+)(?:\*(\d+))?$/i.exec(token);
+    if (!match) throw new Error(`Invalid button press: ${token}`);
+    const count = match[2] === undefined ? 1 : Number(match[2]);
+    for (let i = 0; i < count; i += 1) buttons.push(match[1].toLowerCase());
+  }
+  return buttons;
+}
+
+function describePress(result) {
+  const lines = [`[${result.button.toUpperCase()}]`];
+  if (result.ignored) {
+    lines.push(`  ignored: ${result.ignored}`);
+    return lines.join("\n");
+  }
+  for (const { field, from, to } of result.changed) {
+    lines.push(`  ${field}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+  }
+  for (const { field, from, to, reason } of result.sideEffects) {
+    lines.push(`  ${field}: ${JSON.stringify(from)} -> ${JSON.stringify(to)} (${reason})`);
+  }
+  lines.push(result.packet ? `  ${result.packet}` : "  (nothing sent while off)");
+  return lines.join("\n");
+}
+
+function main() {
+  const { model, args } = modelFromArgs(process.argv.slice(2));
+  const initial = takeOption(args, "--state");
+  if (args.length === 0) {
+    console.error("Usage: node daikin_remote.js [--state '<json>'] <button>...");
+    console.error("");
+    console.error(`Buttons: ${BUTTONS.join(", ")}; append *n to repeat a press`);
+    console.error("");
+    console.error("Example:");
+    console.error("  node daikin_remote.js power mode temp_up*3 fan powerful econo");
+    process.exit(1);
+  }
+
+  const remote = createRemote({
+    model,
+    state: initial ? JSON.parse(initial) : { power: false },
+  });
+  for (const result of remote.pressAll(parseButtons(args))) {
+    console.log(describePress(result));
+  }
+  console.log("");
+  console.log(JSON.stringify(remote.state));
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  BUTTONS,
+  createRemote,
+  parseButtons,
+};
@@ -0,0 +1,158 @@
+const {
+  ARC480A48,
+  BROADLINK_TICK_US,
+  broadlinkBase64ToDurations,
+  decodeBroadlinkBase64,
+  decodeFrame,
+  detectFrameLayout,
+} = require("./daikin_arc480a48");
+const { frameLayout } = require("./explain_frame");
+
+/**
+ * Bit-level diff of two Broadlink captures
+ *
+ * Decodes both captures and compares them frame by frame: which decoded
+ * fields changed, which raw bits flipped (with the field each bit belongs to,
+ * or none when it is outside the known layout) and how the pulse timings
+ * differ.
+ */
+
+const TIMING_LIMIT = 20;
+
+function fieldAt(fields, byte, bit) {
+  const position = byte * 8 + bit;
+  return fields.find((field) => {
+    const start = field.byte * 8 + field.bit;
+    return position >= start && position < start + field.width;
+  });
+}
+
+function diffFields(a, b, model) {
+  const layout = detectFrameLayout(a, model);
+  if (layout.kind === "unknown" || detectFrameLayout(b, model).kind !== layout.kind) return [];
+
+  const decodedA = decodeFrame(a, model);
+  const decodedB = decodeFrame(b, model);
+  return layout.fields
+    .filter((field) => field.fixed == null && decodedA[field.name] !== decodedB[field.name])
+    .map((field) => ({ field: field.name, a: decodedA[field.name], b: decodedB[field.name] }));
+}
+
+function diffBits(a, b, model) {
+  const { fields } = frameLayout(a.length >= b.length ? a : b, model);
+  const last = Math.max(a.length, b.length) - 1;
+  const bits = [];
+
+  for (let byte = 0; byte <= last; byte += 1) {
+    const valueA = a[byte] ?? 0;
+    const valueB = b[byte] ?? 0;
+    const changed = byte < a.length && byte < b.length ? valueA ^ valueB : 0xff;
+
+    for (let bit = 0; bit < 8; bit += 1) {
+      if (!(changed & (1 << bit))) continue;
+      const field =
+        byte === last && a.length === b.length ? { name: "checksum" } : fieldAt(fields, byte, bit);
+      bits.push({
+        byte,
+        bit,
+        a: byte < a.length ? (valueA >> bit) & 1 : null,
+        b: byte < b.length ? (valueB >> bit) & 1 : null,
+        field: field ? field.name : null,
+      });
+    }
+  }
+
+  return bits;
+}
+
+function diffTiming(base64A, base64B) {
+  const a = broadlinkBase64ToDurations(base64A);
+  const b = broadlinkBase64ToDurations(base64B);
+  const differences = [];
+  let maxDeltaUs = 0;
+
+  for (let index = 0; index < Math.min(a.length, b.length); index += 1) {
+    if (a[index] === b[index]) continue;
+    const deltaUs = Math.round((b[index] - a[index]) * BROADLINK_TICK_US);
+    maxDeltaUs = Math.max(maxDeltaUs, Math.abs(deltaUs));
+    differences.push({
+      index,
+      kind: index % 2 === 0 ? "mark" : "space",
+      a: a[index],
+      b: b[index],
+      deltaUs,
+    });
+  }
+
+  return { lengths: [a.length, b.length], changed: differences.length, maxDeltaUs, differences };
+}
+
+function diffCaptures(base64A, base64B, model = ARC480A48) {
+  const framesA = decodeBroadlinkBase64(base64A, model);
+  const framesB = decodeBroadlinkBase64(base64B, model);
+  const frames = [];
+
+  for (let index = 0; index < Math.max(framesA.length, framesB.length); index += 1) {
+    const a = framesA[index] || [];
+    const b = framesB[index] || [];
+    frames.push({
+      index,
+      lengths: [a.length, b.length],
+      fields: diffFields(a, b, model),
+      bits: diffBits(a, b, model),
+    });
+  }
+
+  return {
+    frameCounts: [framesA.length, framesB.length],
+    frames,
+    timing: diffTiming(base64A, base64B),
+  };
+}
+
+function formatDiff(diff) {
+  const lines = [];
+  if (diff.frameCounts[0] !== diff.frameCounts[1]) {
+    lines.push(`Frame count: ${diff.frameCounts[0]} -> ${diff.frameCounts[1]}`);
+  }
+
+  for (const frame of diff.frames) {
+    const header = `Frame ${frame.index + 1}`;
+    if (frame.bits.length === 0) {
+      lines.push(`${header}: identical (${frame.lengths[0]} bytes)`);
+      continue;
+    }
+
+    lines.push(
+      `${header}: ${frame.bits.length} bit(s) differ (${frame.lengths.join(" -> ")} bytes)`,
+    );
+    for (const { field, a, b } of frame.fields) {
+      lines.push(`  field ${field}: ${JSON.stringify(a)} -> ${JSON.stringify(b)}`);
+    }
+
+    for (const { byte, bit, a, b, field } of frame.bits) {
+      const label = field || "UNKNOWN (outside layout)";
+      lines.push(
+        `  byte ${String(byte).padStart(2)} bit ${bit}: ${a ?? "-"} -> ${b ?? "-"}  ${label}`,
+      );
+    }
+  }
+
+  const { timing } = diff;
+  lines.push(
+    `Timing: ${timing.lengths.join(" -> ")} durations, ${timing.changed} differ, max delta ${timing.maxDeltaUs}us`,
+  );
+  for (const { index, kind, a, b, deltaUs } of timing.differences.slice(0, TIMING_LIMIT)) {
+    lines.push(`  #${index} ${kind}: ${a} -> ${b} ticks (${deltaUs > 0 ? "+" : ""}${deltaUs}us)`);
+  }
+  if (timing.differences.length > TIMING_LIMIT) {
+    lines.push(`  ... ${timing.differences.length - TIMING_LIMIT} more`);
+  }
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  diffCaptures,
+  formatDiff,
+};
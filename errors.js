@@ -0,0 +1,38 @@
+/**
+ * Error classes with machine-readable codes
+ *
+ * Every error carries a `code` matching the codes of the HTTP API, so callers
+ * can branch on `instanceof` or on `error.code` instead of on the message.
+ */
+
+class DaikinError extends Error {
+  constructor(message, code, details) {
+    super(message);
+    this.name = new.target.name;
+    this.code = code;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+// All problems validateState found; `errors` holds them with codes and paths
+class StateValidationError extends DaikinError {
+  constructor(errors) {
+    super(`Invalid state: ${errors.map(({ message }) => message).join("; ")}`, "invalid_state");
+    this.errors = errors;
+  }
+}
+
+class UnknownModelError extends DaikinError {
+  constructor(name, supported) {
+    super(`Unknown model: ${name}. Supported models: ${supported.join(", ")}`, "unknown_model", {
+      model: name,
+      supported,
+    });
+  }
+}
+
+module.exports = {
+  DaikinError,
+  StateValidationError,
+  UnknownModelError,
+};
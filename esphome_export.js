@@ -0,0 +1,112 @@
+const fs = require("fs");
+const path = require("path");
+const { takeOption } = require("./daikin_arc480a48");
+const { generateDurations, selectKeys } = require("./generate_daikin_arc480a48_states");
+const { modelFromArgs } = require("./daikin_models");
+
+/**
+ * ESPHome and IRremoteESP8266 exports for ESP32/ESP8266 IR blasters
+ *
+ * Keys and timings are the Flipper export's: selectKeys and generateDurations,
+ * whole microseconds from the model timing without the Broadlink tick
+ * rounding, with the learned frames for proven keys such as off. ESPHome gets
+ * one script per SmartIR key calling `remote_transmitter.transmit_raw` with
+ * signed durations (marks positive, spaces negative); the C header holds one
+ * `uint16_t` array per key for `IRsend::sendRaw`.
+ */
+
+function signedDurations(durations) {
+  return durations.map((micros, index) => (index % 2 === 0 ? micros : -micros));
+}
+
+function identifier(key) {
+  return key.replace(/[^A-Za-z0-9]+/g, "_");
+}
+
+// Signals for every key, the keys matching a pattern, and/or explicit states;
+// the same keys the Flipper export selects
+function selectSignals(model, options = {}) {
+  const keys = selectKeys(model, options);
+  const durations = generateDurations(model, keys);
+  return keys.map((key) => ({ name: key, durations: durations[key] }));
+}
+
+function formatEsphomeYaml(signals, model) {
+  const lines = [
+    `# ${model.manufacturer} ${model.remote} (${model.protocol}) raw codes`,
+    "script:",
+  ];
+  for (const { name, durations } of signals) {
+    lines.push(
+      `  - id: ${model.name}_${identifier(name)}`,
+      "    then:",
+      "      - remote_transmitter.transmit_raw:",
+      `          carrier_frequency: ${model.frequency / 1000}kHz`,
+      `          code: [${signedDurations(durations).join(", ")}]`,
+    );
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+function formatRawDataHeader(signals, model) {
+  const lines = [
+    `// ${model.manufacturer} ${model.remote} (${model.protocol}) raw codes in microseconds`,
+    `// Send with irsend.sendRaw(rawData_<key>, sizeof(rawData_<key>) / sizeof(uint16_t), ${model.frequency / 1000});`,
+    "#pragma once",
+    "#include <stdint.h>",
+  ];
+  for (const { name, durations } of signals) {
+    lines.push(
+      "",
+      `// ${name}`,
+      `const uint16_t rawData_${identifier(name)}[${durations.length}] = {${durations.join(", ")}};`,
+    );
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+const FORMATS = {
+  yaml: { format: formatEsphomeYaml, extension: "yaml" },
+  header: { format: formatRawDataHeader, extension: "h" },
+};
+
+function main() {
+  const { model, args } = modelFromArgs(process.argv.slice(2));
+  const match = takeOption(args, "--match");
+  const states = [];
+  for (let state = takeOption(args, "--state"); state; state = takeOption(args, "--state")) {
+    states.push(JSON.parse(state));
+  }
+
+  const [format, output] = args;
+  if (!FORMATS[format]) {
+    console.error("Usage:");
+    console.error(
+      `  node esphome_export.js ${Object.keys(FORMATS).join("|")} [output] [--match <regex>] [--state '<json>']...`,
+    );
+    console.error("");
+    console.error("Options:");
+    console.error("  --model <name>   Remote model from the registry (default: arc480a48)");
+    process.exit(1);
+  }
+
+  const signals = selectSignals(model, { match, states });
+  const outputPath =
+    output || path.join(__dirname, "result", `daikin_${model.name}.${FORMATS[format].extension}`);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, FORMATS[format].format(signals, model), "utf8");
+  console.log(`Exported ${signals.length} code(s)`);
+  console.log(`Output: ${outputPath}`);
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  formatEsphomeYaml,
+  formatRawDataHeader,
+  selectSignals,
+  signedDurations,
+};
@@ -0,0 +1,133 @@
+const {
+  ARC480A48,
+  checksum,
+  decodeBroadlinkBase64,
+  decodeFrame,
+  detectFrameLayout,
+  readField,
+} = require("./daikin_arc480a48");
+
+/**
+ * Print decoded frames as per-byte tables for reverse engineering
+ *
+ * Each row shows the byte index, hex value, bits in the order they are sent
+ * (LSB first) and the fields those bits belong to. Rows holding non-zero bits
+ * outside the field table, or fixed bits that differ from their expected
+ * value, are marked with "!". The checksum sum is spelled out under each frame.
+ */
+
+function frameLayout(bytes, model) {
+  const { kind, fields } = detectFrameLayout(bytes, model);
+  return { kind, fields };
+}
+
+function hexByte(value) {
+  return value.toString(16).padStart(2, "0");
+}
+
+function bitRange(lo, hi) {
+  return lo === hi ? `b${lo}` : `b${lo}-${hi}`;
+}
+
+function formatValue(value) {
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+function fieldValue(bytes, field, decoded) {
+  const raw = readField(bytes, field);
+  if (field.fixed != null) {
+    const expected = `0x${field.fixed.toString(16)}`;
+    return raw === field.fixed
+      ? `${field.name}=${expected}`
+      : `${field.name}=0x${raw.toString(16)} (expected ${expected})`;
+  }
+  if (decoded && field.name in decoded) {
+    return `${field.name}=${formatValue(decoded[field.name])} (0x${raw.toString(16)})`;
+  }
+  return `${field.name}=0x${raw.toString(16)}`;
+}
+
+function explainByte(bytes, index, fields, decoded) {
+  const labels = [];
+  let covered = 0;
+  let flagged = false;
+
+  for (const field of fields) {
+    const start = field.byte * 8 + field.bit;
+    const end = start + field.width - 1;
+    const lo = Math.max(start, index * 8);
+    const hi = Math.min(end, index * 8 + 7);
+    if (lo > hi) continue;
+
+    for (let position = lo; position <= hi; position += 1) covered |= 1 << (position & 7);
+
+    const range = bitRange(lo & 7, hi & 7);
+    labels.push(
+      lo === start ? `${range} ${fieldValue(bytes, field, decoded)}` : `${range} ${field.name} (cont.)`,
+    );
+
+    if (field.fixed != null) {
+      const shift = lo - start;
+      const width = hi - lo + 1;
+      const mask = (1 << width) - 1;
+      const actual = (bytes[index] >> (lo & 7)) & mask;
+      if (actual !== ((field.fixed >>> shift) & mask)) flagged = true;
+    }
+  }
+
+  const unknown = bytes[index] & ~covered & 0xff;
+  for (let bit = 0; bit < 8; bit += 1) {
+    if (unknown & (1 << bit)) {
+      labels.push(`b${bit} unknown=1`);
+      flagged = true;
+    }
+  }
+
+  return { labels, flagged };
+}
+
+function explainChecksum(bytes) {
+  const last = bytes.length - 1;
+  const sum = bytes.slice(0, last).reduce((total, value) => total + value, 0);
+  const expected = checksum(bytes);
+  const status = expected === bytes[last] ? "valid" : "INVALID";
+  return (
+    `Checksum: ${bytes.slice(0, last).map(hexByte).join("+")} = 0x${sum.toString(16)}` +
+    ` -> 0x${hexByte(expected)}; byte ${last} = 0x${hexByte(bytes[last])} (${status})`
+  );
+}
+
+function explainFrame(bytes, model = ARC480A48, title = "Frame") {
+  const layout = frameLayout(bytes, model);
+  const decoded = layout.kind === "unknown" ? null : decodeFrame(bytes, model);
+  const lines = [`${title} · ${bytes.length} bytes · ${layout.kind}`];
+  lines.push("   Byte  Hex  Sent (LSB first)  Fields");
+
+  for (let index = 0; index < bytes.length; index += 1) {
+    const bits = Array.from({ length: 8 }, (_, bit) => (bytes[index] >> bit) & 1).join("");
+    const { labels, flagged } =
+      index === bytes.length - 1 && layout.kind !== "unknown"
+        ? { labels: ["b0-7 checksum"], flagged: false }
+        : explainByte(bytes, index, layout.fields, decoded);
+
+    lines.push(
+      `${flagged ? " ! " : "   "}${String(index).padStart(4)}  ${hexByte(bytes[index])}   ${bits}          ${labels.join("; ") || "-"}`,
+    );
+  }
+
+  lines.push(explainChecksum(bytes));
+  return lines.join("\n");
+}
+
+function explainBroadlinkBase64(base64, model = ARC480A48) {
+  const frames = decodeBroadlinkBase64(base64, model);
+  return frames
+    .map((bytes, index) => explainFrame(bytes, model, `Frame ${index + 1}/${frames.length}`))
+    .join("\n\n");
+}
+
+module.exports = {
+  explainBroadlinkBase64,
+  explainFrame,
+  frameLayout,
+};
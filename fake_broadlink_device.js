@@ -0,0 +1,228 @@
+const crypto = require("crypto");
+const dgram = require("dgram");
+const { decodeBroadlinkBase64, decodeFrame, takeOption } = require("./daikin_arc480a48");
+const {
+  DEFAULT_KEY,
+  PACKET_TYPES,
+  RM_COMMANDS,
+  broadlinkChecksum,
+  buildPacket,
+  codeBuffer,
+  commandPayload,
+  deviceInfo,
+  discoveryReply,
+  parsePacket,
+} = require("./broadlink_rm");
+const { modelFromArgs } = require("./daikin_models");
+
+/**
+ * Fake Broadlink RM device for tests and offline development
+ *
+ * Listens on UDP like a real RM and answers discovery, auth and the
+ * send_data / enter_learning / check_data commands with the same packet format
+ * `broadlink_rm.js` speaks. Every sent code is recorded in `sent`. While the
+ * device is learning, `press(code)` plays the part of the remote: the next
+ * check_data returns that code. Without a learned code check_data answers -10
+ * (read error), as the firmware does.
+ */
+
+const ERRORS = {
+  loggedOut: -2,
+  notSupported: -4,
+  abnormal: -6,
+  readError: -10,
+};
+
+// Drops the zero padding after the last packet of a received code
+function trimPadding(data) {
+  let end = 0;
+  while (end + 4 <= data.length && data[end] !== 0) {
+    end += 4 + data.readUInt16LE(end + 2);
+  }
+  return data.subarray(0, Math.min(end, data.length));
+}
+
+function listen(socket, host, port) {
+  return new Promise((resolve, reject) => {
+    socket.once("error", reject);
+    socket.bind(port, host, () => {
+      socket.off("error", reject);
+      resolve();
+    });
+  });
+}
+
+async function startFakeDevice({
+  host = "127.0.0.1",
+  port = 0,
+  devtype = 0x2737,
+  mac = "34:ea:34:00:00:01",
+  name = "Fake RM",
+  framing = deviceInfo(devtype).framing,
+  onSend,
+} = {}) {
+  const socket = dgram.createSocket("udp4");
+  const sent = [];
+  let session = null;
+  let learning = false;
+  let learned = null;
+
+  function reply(remote, request, { type, key, error = 0, payload = Buffer.alloc(0) }) {
+    const packet = buildPacket({
+      type,
+      devtype,
+      count: request.count,
+      mac,
+      id: session ? session.id : 0,
+      error,
+      payload,
+      key,
+    });
+    socket.send(packet, remote.port, remote.address);
+  }
+
+  function handleAuth(request, remote) {
+    session = { id: crypto.randomInt(1, 0xffffffff), key: crypto.randomBytes(16) };
+    const payload = Buffer.alloc(0x20);
+    payload.writeUInt32LE(session.id, 0);
+    session.key.copy(payload, 0x04);
+    reply(remote, request, { type: PACKET_TYPES.authReply, key: DEFAULT_KEY, payload });
+  }
+
+  function runCommand(command, data) {
+    if (command === RM_COMMANDS.sendData) {
+      const code = trimPadding(data).toString("base64");
+      try {
+        codeBuffer(code);
+      } catch (error) {
+        return { error: ERRORS.abnormal };
+      }
+      sent.push(code);
+      if (onSend) onSend(code);
+      return {};
+    }
+
+    if (command === RM_COMMANDS.enterLearning) {
+      learning = true;
+      learned = null;
+      return {};
+    }
+
+    if (command === RM_COMMANDS.checkData) {
+      if (!learned) return { error: ERRORS.readError };
+      const data = learned;
+      learned = null;
+      return { data };
+    }
+
+    return { error: ERRORS.notSupported };
+  }
+
+  function handleCommand(request, remote) {
+    const { payload } = request;
+    const command = framing === "rm4" ? payload.readUInt32LE(2) : payload.readUInt32LE(0);
+    const data =
+      framing === "rm4" ? payload.subarray(6, payload.readUInt16LE(0) + 2) : payload.subarray(4);
+
+    const result = runCommand(command, data);
+    reply(remote, request, {
+      type: PACKET_TYPES.commandReply,
+      key: session.key,
+      error: result.error,
+      payload: result.error ? undefined : commandPayload(command, result.data || Buffer.alloc(0), framing),
+    });
+  }
+
+  socket.on("message", (message, remote) => {
+    if (message.length === 0x30 && message[0x26] === PACKET_TYPES.discover) {
+      socket.send(discoveryReply({ devtype, mac, name }), remote.port, remote.address);
+      return;
+    }
+
+    const type = message.length > 0x27 ? message.readUInt16LE(0x26) : null;
+    const key = type === PACKET_TYPES.command && session ? session.key : DEFAULT_KEY;
+    let request;
+    try {
+      request = parsePacket(message, key);
+    } catch (error) {
+      // Real devices ignore packets they cannot read
+      return;
+    }
+
+    if (type === PACKET_TYPES.auth) {
+      handleAuth(request, remote);
+    } else if (type !== PACKET_TYPES.command) {
+      reply(remote, request, { type: PACKET_TYPES.commandReply, key, error: ERRORS.notSupported });
+    } else if (!session || request.id !== session.id) {
+      reply(remote, request, { type: PACKET_TYPES.commandReply, key, error: ERRORS.loggedOut });
+    } else if (request.payloadChecksum !== broadlinkChecksum(request.payload)) {
+      reply(remote, request, { type: PACKET_TYPES.commandReply, key, error: ERRORS.abnormal });
+    } else {
+      handleCommand(request, remote);
+    }
+  });
+
+  await listen(socket, host, port);
+  const address = socket.address();
+
+  return {
+    host: address.address,
+    port: address.port,
+    devtype,
+    mac,
+    name,
+    sent,
+    get learning() {
+      return learning;
+    },
+    // Plays a code at the device's receiver; only kept while learning
+    press(code) {
+      if (!learning) return false;
+      learned = codeBuffer(code);
+      learning = false;
+      return true;
+    },
+    close() {
+      return new Promise((resolve) => socket.close(resolve));
+    },
+  };
+}
+
+function describeCode(code, model) {
+  try {
+    return decodeBroadlinkBase64(code, model)
+      .map((bytes) => JSON.stringify(decodeFrame(bytes, model)))
+      .join("\n  ");
+  } catch (error) {
+    return `(not a ${model.name} code: ${error.message})`;
+  }
+}
+
+async function main() {
+  const { model, args } = modelFromArgs(process.argv.slice(2));
+  const host = takeOption(args, "--host") || "127.0.0.1";
+  const port = Number(takeOption(args, "--port") || 8080);
+
+  const device = await startFakeDevice({
+    host,
+    port,
+    onSend(code) {
+      console.log(`send_data ${code.length} base64 chars\n  ${describeCode(code, model)}`);
+    },
+  });
+  console.log(`Fake Broadlink RM (${device.mac}) listening on ${device.host}:${device.port}`);
+  console.log("Press Ctrl+C to stop");
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  startFakeDevice,
+  trimPadding,
+};
@@ -0,0 +1,146 @@
+const fs = require("fs");
+const path = require("path");
+const { decodeFrame, decodeMicroseconds, takeOption } = require("./daikin_arc480a48");
+const { generateDurations, selectKeys } = require("./generate_daikin_arc480a48_states");
+const { modelFromArgs } = require("./daikin_models");
+
+/**
+ * Flipper Zero .ir files for the SmartIR command set
+ *
+ * Export writes one raw signal per SmartIR key (frequency, duty cycle and
+ * microsecond mark/space data) from `generateDurations`, the same timings as
+ * the ESPHome export. Import reads raw signals back and decodes them through
+ * the duration decoder.
+ */
+
+const DUTY_CYCLE = 0.33;
+
+function signalsToFlipperIr(signals) {
+  const lines = ["Filetype: IR signals file", "Version: 1"];
+  for (const { name, frequency, durations } of signals) {
+    lines.push(
+      "#",
+      `name: ${name}`,
+      "type: raw",
+      `frequency: ${frequency}`,
+      `duty_cycle: ${DUTY_CYCLE.toFixed(6)}`,
+      `data: ${durations.map((micros) => Math.round(micros)).join(" ")}`,
+    );
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+function parseFlipperIr(text) {
+  const lines = text.split(/\r?\n/);
+  if (!/^Filetype: IR (signals|library) file$/.test(lines[0] || "")) {
+    throw new Error("Not a Flipper IR file: missing Filetype header");
+  }
+
+  const signals = [];
+  let current = null;
+  for (const line of lines.slice(1)) {
+    const match = /^(\w+):\s*(.*)$/.exec(line.trim());
+    if (!match) continue;
+
+    const [, field, value] = match;
+    if (field === "name") {
+      current = { name: value };
+      signals.push(current);
+    } else if (current) {
+      current[field] = value;
+    }
+  }
+
+  return signals.map((signal) => ({
+    name: signal.name,
+    type: signal.type,
+    frequency: signal.frequency == null ? null : Number(signal.frequency),
+    dutyCycle: signal.duty_cycle == null ? null : Number(signal.duty_cycle),
+    durations: signal.type === "raw" ? signal.data.trim().split(/\s+/).map(Number) : null,
+  }));
+}
+
+function commandSignals(commands, model) {
+  return Object.entries(commands).map(([name, durations]) => ({
+    name,
+    frequency: model.frequency,
+    durations,
+  }));
+}
+
+// The durations of every command, the keys matching a pattern, and/or
+// explicit states; the same keys the ESPHome export selects
+function selectCommands(model, options = {}) {
+  return generateDurations(model, selectKeys(model, options));
+}
+
+function decodeFlipperSignals(signals, model) {
+  return signals.map((signal) => {
+    if (signal.type !== "raw") {
+      return { name: signal.name, error: `Unsupported signal type: ${signal.type}` };
+    }
+
+    const frames = decodeMicroseconds(signal.durations, model.timing);
+    return {
+      name: signal.name,
+      frames: frames.map((bytes) => decodeFrame(bytes, model)),
+    };
+  });
+}
+
+function main() {
+  const { model, args } = modelFromArgs(process.argv.slice(2));
+  const command = args[0];
+
+  if (command === "export") {
+    const match = takeOption(args, "--match");
+    const states = [];
+    for (let state = takeOption(args, "--state"); state; state = takeOption(args, "--state")) {
+      states.push(JSON.parse(state));
+    }
+
+    const outputPath = args[1] || path.join(__dirname, "result", `daikin_${model.name}.ir`);
+    const commands = selectCommands(model, { match, states });
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, signalsToFlipperIr(commandSignals(commands, model)), "utf8");
+    console.log(`Exported ${Object.keys(commands).length} signal(s)`);
+    console.log(`Output: ${outputPath}`);
+    return;
+  }
+
+  if (command === "decode") {
+    const [, file, name] = args;
+    if (!file) {
+      console.error("Usage: node flipper_ir.js decode <file.ir> [signal-name]");
+      process.exit(1);
+    }
+
+    const signals = parseFlipperIr(fs.readFileSync(file, "utf8")).filter(
+      (signal) => !name || signal.name === name,
+    );
+    if (name && signals.length === 0) throw new Error(`Signal not found: ${name}`);
+    console.log(JSON.stringify(decodeFlipperSignals(signals, model), null, 2));
+    return;
+  }
+
+  console.error("Usage:");
+  console.error("  node flipper_ir.js export [output.ir] [--match <regex>] [--state '<json>']...");
+  console.error("  node flipper_ir.js decode <file.ir> [signal-name]");
+  console.error("");
+  console.error("Options:");
+  console.error("  --model <name>   Remote model from the registry (default: arc480a48)");
+  process.exit(1);
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  commandSignals,
+  decodeFlipperSignals,
+  parseFlipperIr,
+  selectCommands,
+  signalsToFlipperIr,
+};
@@ -1,118 +1,115 @@
 const fs = require("fs");
 const path = require("path");
-const { stateToBroadlinkBase64 } = require("./daikin_arc480a48");
-
-const PROVEN_COMMANDS_PATH = path.join(__dirname, "assert", "9999.json");
-const TEMPERATURES = range(16, 32, 0.5);
-const FAN_MODES = [
-  "auto",
-  "night",
-  "level1",
-  "level2",
-  "level3",
-  "level4",
-  "level5",
-];
-
-const MODE_CONFIG = {
-  cool: {
-    temperatures: TEMPERATURES,
-    fanModes: FAN_MODES,
-    swingModes: allSwingModes(),
-  },
-  dry: {
-    temperatures: TEMPERATURES,
-    fanModes: ["auto"],
-    swingModes: [{ name: "on", state: { swing: true } }],
-  },
-  fan_only: {
-    temperatures: TEMPERATURES,
-    fanModes: FAN_MODES,
-    swingModes: [
-      { name: "on", state: { swing: true } },
-      { name: "off", state: { swing: false } },
-    ],
-  },
-};
-
-function range(min, max, step) {
-  const values = [];
-  for (let value = min; value <= max; value += step) {
-    values.push(Number(value.toFixed(1)));
+const {
+  ARC480A48,
+  decodeBroadlinkBase64,
+  framesForState,
+  framesToDurations,
+  stateToBroadlinkBase64,
+} = require("./daikin_arc480a48");
+const { modelFromArgs } = require("./daikin_models");
+const {
+  OFF_KEY,
+  fanVariants,
+  formatCommandKey,
+  keyToState,
+  stateToKey,
+  swingVariants,
+  temperatures,
+} = require("./command_key");
+
+const MODE_CONFIG = modeConfig(ARC480A48);
+const TEMPERATURES = MODE_CONFIG.cool.temperatures;
+const FAN_MODES = MODE_CONFIG.cool.fanModes;
+
+function modeConfig(model) {
+  const config = {};
+
+  for (const [mode, { fanModes, swingModes }] of Object.entries(model.capabilities.commandModes)) {
+    config[mode] = {
+      temperatures: temperatures(model),
+      fanModes,
+      swingModes: swingVariants().filter((swingMode) => swingModes.includes(swingMode.name)),
+    };
   }
-  return values;
-}
 
-function formatTemperature(value) {
-  if (typeof value === "string") return value;
-  return Number.isInteger(value) ? String(value) : value.toFixed(1);
+  return config;
 }
 
-function allSwingModes() {
-  const variants = [];
-  for (const [prefix, swing, comfort] of [
-    ["on", true, false],
-    ["off", false, false],
-    ["comfort", false, true],
-  ]) {
-    variants.push({ name: prefix, state: { swing, comfort } });
-    variants.push({
-      name: `${prefix}_power_saving`,
-      state: { swing, comfort, powerSavingMode: "econo" },
-    });
-    variants.push({
-      name: `${prefix}_power_saving_plus`,
-      state: { swing, comfort, powerSavingMode: "econo_plus" },
-    });
-  }
-  return variants;
-}
-
-function fanVariants(fanMode) {
-  return [
-    { name: fanMode, state: { fanMode, quiet: false } },
-    { name: `${fanMode}_quiet`, state: { fanMode, quiet: true } },
-  ];
-}
+// Every SmartIR key the model supports, "off" first
+function commandKeys(model = ARC480A48) {
+  const keys = [OFF_KEY];
 
-function commandKey(mode, swingMode, fanMode, temperature) {
-  return `${mode}-${swingMode}-${fanMode}-${formatTemperature(temperature)}`;
-}
-
-function generateCommands() {
-  const commands = {
-    off: stateToBroadlinkBase64({ mode: "cool", power: false }),
-  };
-
-  for (const [mode, config] of Object.entries(MODE_CONFIG)) {
+  for (const [mode, config] of Object.entries(modeConfig(model))) {
     for (const swingMode of config.swingModes) {
       for (const fanMode of config.fanModes) {
         for (const fan of fanVariants(fanMode)) {
           for (const temperature of config.temperatures) {
-            const key = commandKey(mode, swingMode.name, fan.name, temperature);
-            const state = {
-              mode,
-              power: true,
-              temperature,
-              ...swingMode.state,
-              ...fan.state,
-            };
-            commands[key] = stateToBroadlinkBase64(state);
+            keys.push(formatCommandKey(mode, swingMode.name, fan.name, temperature));
           }
         }
       }
     }
   }
 
-  Object.assign(commands, readProvenCommands());
+  return keys;
+}
+
+function generateCommands(model = ARC480A48) {
+  const commands = {};
+  for (const key of commandKeys(model)) {
+    commands[key] = stateToBroadlinkBase64(keyToState(key, model), model);
+  }
+
+  if (model.provenCommandsPath) {
+    Object.assign(commands, readProvenCommands(model.provenCommandsPath));
+  }
 
   return commands;
 }
 
-function readProvenCommands(filePath = PROVEN_COMMANDS_PATH) {
-  if (!fs.existsSync(filePath)) return {};
+// Mark/space durations in whole microseconds, straight from the model timing
+function stateToMicroseconds(state, model = ARC480A48) {
+  return framesToDurations(framesForState(state, model), model.timing).map(Math.round);
+}
+
+function provenCommands(model) {
+  return model.provenCommandsPath ? readProvenCommands(model.provenCommandsPath) : {};
+}
+
+// Every key, the keys matching a pattern, and/or the keys of explicit states:
+// the key set of generateCommands, shared by the Flipper and ESPHome exports
+function selectKeys(model = ARC480A48, { match, states = [] } = {}) {
+  const keys = [...new Set([...commandKeys(model), ...Object.keys(provenCommands(model))])];
+  if (!match && states.length === 0) return keys;
+
+  const pattern = match ? new RegExp(match) : null;
+  const selected = new Set(pattern ? keys.filter((key) => pattern.test(key)) : []);
+  for (const state of states) selected.add(stateToKey(state, model));
+  return [...selected];
+}
+
+// The raw-timing counterpart of generateCommands for the Flipper and ESPHome
+// exports, in whole microseconds. Proven keys send the frames learned from the
+// remote, rebuilt with the model timing like the rest: the learned captures
+// only hold Broadlink ticks, whose rounding would otherwise carry over.
+function generateDurations(model = ARC480A48, keys = selectKeys(model)) {
+  const proven = provenCommands(model);
+  const durations = {};
+  for (const key of keys) {
+    durations[key] = proven[key]
+      ? framesToDurations(decodeBroadlinkBase64(proven[key], model), model.timing).map(Math.round)
+      : stateToMicroseconds(keyToState(key, model), model);
+  }
+  return durations;
+}
+
+// Relative paths are resolved from this directory
+function readProvenCommands(filePath = ARC480A48.provenCommandsPath) {
+  const resolved = path.resolve(__dirname, filePath);
+  if (!fs.existsSync(resolved)) return {};
 
-  const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const data = JSON.parse(fs.readFileSync(resolved, "utf8"));
   const sourceCommands = data.commands || data;
   return flattenCommands(sourceCommands);
 }
@@ -127,7 +124,7 @@ function flattenCommands(commands) {
     for (const [fanMode, swingModes] of Object.entries(fanModes)) {
       for (const [swingMode, temperatures] of Object.entries(swingModes)) {
         for (const [temperature, command] of Object.entries(temperatures)) {
-          output[commandKey(mode, swingMode, fanMode, temperature)] = command;
+          output[formatCommandKey(mode, swingMode, fanMode, temperature)] = command;
         }
       }
     }
@@ -136,8 +133,8 @@ function flattenCommands(commands) {
   return output;
 }
 
-function writeCommands(outputPath) {
-  const commands = generateCommands();
+function writeCommands(outputPath, model = ARC480A48) {
+  const commands = generateCommands(model);
   const outputDir = path.dirname(outputPath);
   fs.mkdirSync(outputDir, { recursive: true });
   fs.writeFileSync(outputPath, `${JSON.stringify(commands, null, 2)}\n`, "utf8");
@@ -145,9 +142,10 @@ function writeCommands(outputPath) {
 }
 
 function main() {
+  const { model, args } = modelFromArgs(process.argv.slice(2));
   const outputPath =
-    process.argv[2] || path.join(__dirname, "result", "daikin_arc480a48.all_states.json");
-  const result = writeCommands(outputPath);
+    args[0] || path.join(__dirname, "result", `daikin_${model.name}.all_states.json`);
+  const result = writeCommands(outputPath, model);
   console.log(`Generated ${result.count} commands`);
   console.log(`Output: ${result.outputPath}`);
 }
@@ -160,8 +158,13 @@ module.exports = {
   FAN_MODES,
   MODE_CONFIG,
   TEMPERATURES,
+  commandKeys,
   flattenCommands,
   generateCommands,
+  generateDurations,
+  modeConfig,
   readProvenCommands,
+  selectKeys,
+  stateToMicroseconds,
   writeCommands,
 };
@@ -1,16 +1,38 @@
 const fs = require("fs");
 const path = require("path");
+const { ARC480A48 } = require("./daikin_arc480a48");
+const { modelFromArgs } = require("./daikin_models");
+const { formatCommandKey, formatTemperature, keyToState, temperatures } = require("./command_key");
 
 /**
  * Generate template keys for JSON objects
  *
  * Takes three parameters: operatingMode, swingMode, fanMode
  * Generates keys in format: - operatingMode-swingMode-fanMode-temperature
- * Temperature range: 16 to 32 with 0.5 increments
+ * Temperature range: the model limits (16 to 32 with 0.5 increments for ARC480A48)
  * Output saved to: operatingMode/operatingMode.swingMode.fanMode.txt
  */
 
-function generateTemplate(operatingMode, swingMode, fanMode, reverse = false) {
+function generateTemplate(
+  operatingMode,
+  swingMode,
+  fanMode,
+  reverse = false,
+  model = ARC480A48,
+) {
+  // Guard: Reject combinations the command key codec does not accept
+  const temperatureValues = temperatures(model);
+  let state;
+  try {
+    state = keyToState(
+      formatCommandKey(operatingMode, swingMode, fanMode, temperatureValues[0]),
+      model,
+    );
+  } catch (error) {
+    console.error(`\n❌ Aborted: ${error.message}\n`);
+    return null;
+  }
+
   // Guard: Check if JSON file already exists in src directory before proceeding
   const srcDir = path.join(__dirname, "src");
   const jsonFilename = `${operatingMode}.${swingMode}.${fanMode}.json`;
@@ -28,22 +50,17 @@ function generateTemplate(operatingMode, swingMode, fanMode, reverse = false) {
     return null;
   }
 
-  // Generate temperature values from 16 to 32 with 0.5 increments
-  const temperatures = [];
-  for (let temp = 16; temp <= 32; temp += 0.5) {
-    // Format to avoid floating point precision issues
-    const formattedTemp = temp % 1 === 0 ? temp.toString() : temp.toFixed(1);
-    temperatures.push(formattedTemp);
-  }
+  // Generate temperature values across the model range
+  const temperatureKeys = temperatureValues.map(formatTemperature);
 
   // Reverse temperatures if reverse flag is set
   if (reverse) {
-    temperatures.reverse();
+    temperatureKeys.reverse();
   }
 
   // Generate template keys
-  const keys = temperatures.map((temp) => {
-    return `- ${operatingMode}-${swingMode}-${fanMode}-${temp}`;
+  const keys = temperatureKeys.map((temp) => {
+    return `- ${formatCommandKey(operatingMode, swingMode, fanMode, temp)}`;
   });
 
   // Create output directory (named after operatingMode)
@@ -69,24 +86,23 @@ function generateTemplate(operatingMode, swingMode, fanMode, reverse = false) {
   fs.writeFileSync(jsonPath, JSON.stringify(emptyJson, null, 2) + "\n", "utf8");
 
   // Check for power saving features
-  const allParams = `${operatingMode} ${swingMode} ${fanMode}`;
-  const hasPowerSaving =
-    allParams.includes("power_saving") ||
-    allParams.includes("power_saving_plus");
-  const hasComfort = allParams.includes("comfort");
+  const hasPowerSaving = state.powerSavingMode !== "none";
+  const hasComfort = state.comfort;
 
   console.log(`Generated template for:`);
   console.log(`  Operating Mode: ${operatingMode}`);
   console.log(`  Swing Mode: ${swingMode}`);
   console.log(`  Fan Mode: ${fanMode}`);
-  console.log(`  Temperature range: ${reverse ? "32 to 16" : "16 to 32"} (0.5 increments)`);
+  console.log(
+    `  Temperature range: ${temperatureKeys[0]} to ${temperatureKeys[temperatureKeys.length - 1]} (${model.capabilities.precision} increments)`,
+  );
   if (reverse) {
-    console.log(`  Reverse order: enabled (32° first)`);
+    console.log(`  Reverse order: enabled (${temperatureKeys[0]}° first)`);
   }
   console.log(`  Total keys: ${keys.length}`);
   if (hasPowerSaving) {
     console.log(`  Power Saving: enabled`);
-    if (allParams.includes("power_saving_plus")) {
+    if (state.powerSavingMode === "econo_plus") {
       console.log(`  Power Saving Plus: enabled`);
     }
   }
@@ -106,7 +122,7 @@ function generateTemplate(operatingMode, swingMode, fanMode, reverse = false) {
 
 // Main execution
 function main() {
-  const args = process.argv.slice(2);
+  const { model, args } = modelFromArgs(process.argv.slice(2));
 
   // Parse flags
   let reverse = false;
@@ -127,6 +143,7 @@ function main() {
     console.error("");
     console.error("Options:");
     console.error("  -r, --reverse    Reverse temperature order (32° first)");
+    console.error("  --model <name>   Remote model from the registry (default: arc480a48)");
     console.error("");
     console.error("Example:");
     console.error(
@@ -142,7 +159,7 @@ function main() {
   const swingMode = positionalArgs[1];
   const fanMode = positionalArgs[2];
 
-  const result = generateTemplate(operatingMode, swingMode, fanMode, reverse);
+  const result = generateTemplate(operatingMode, swingMode, fanMode, reverse, model);
   if (result === null) {
     process.exit(1);
   }
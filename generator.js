@@ -1,6 +1,9 @@
 const fs = require("fs");
 const path = require("path");
 const { combineJSONFiles } = require("./combine.js");
+const { ARC480A48 } = require("./daikin_arc480a48");
+const { modelFromArgs } = require("./daikin_models");
+const { OFF_KEY, parseCommandKey } = require("./command_key");
 
 /**
  * Normalize and transform JSON files from input format to target format
@@ -11,79 +14,36 @@ const { combineJSONFiles } = require("./combine.js");
  * The script extracts all information from the JSON object keys themselves.
  */
 
-function normalizeKey(key) {
+function normalizeKey(key, model = ARC480A48) {
   // Keys are in format: "operatingMode-swingMode-fanMode-temperature"
   // Example: "cool-on-auto_quiet-16"
-  const parts = key.split("-");
-
-  if (parts.length < 4) {
-    throw new Error(
-      `Invalid key format: ${key}. Expected format: operatingMode-swingMode-fanMode-temperature`,
-    );
-  }
-
-  // Last part is temperature (may contain decimal, e.g., "16.5")
-  const temperature = parts[parts.length - 1];
-
-  // First part is operatingMode
-  const operatingMode = parts[0];
-
-  // Second part is swingMode
-  const swingMode = parts[1];
-
-  // Everything in between (if any) plus the third part is fanMode
-  // For "cool-on-auto_quiet-16", fanMode is "auto_quiet"
-  const fanMode = parts.slice(2, -1).join("_");
+  const { mode, swingMode, fanMode, temperature } = parseCommandKey(key, model);
 
   return {
-    operatingMode,
+    operatingMode: mode,
     swingMode,
     fanMode,
     temperature,
   };
 }
 
-function transformJSON(inputData, includeMetadata = false) {
+function transformJSON(inputData, includeMetadata = false, model = ARC480A48) {
   // Create output object with metadata first (if --full flag is provided)
   let output;
 
   if (includeMetadata) {
+    const { capabilities } = model;
     output = {
-      manufacturer: "Daikin",
-      supportedModels: ["ftkc20tvm4"],
+      manufacturer: model.manufacturer,
+      supportedModels: [...model.supportedModels],
       commandsEncoding: "Base64",
       supportedController: "Broadlink",
-      minTemperature: 16,
-      maxTemperature: 32,
-      precision: 0.5,
-      operationModes: ["dry", "cool", "fan_only"],
-      fanModes: [
-        "auto",
-        "night",
-        "level1",
-        "level2",
-        "level3",
-        "level4",
-        "level5",
-        "auto_quiet",
-        "night_quiet",
-        "level1_quiet",
-        "level2_quiet",
-        "level3_quiet",
-        "level4_quiet",
-        "level5_quiet",
-      ],
-      swingModes: [
-        "on",
-        "on_power_saving",
-        "on_power_saving_plus",
-        "comfort",
-        "comfort_power_saving",
-        "comfort_power_saving_plus",
-        "off",
-        "off_power_saving",
-        "off_power_saving_plus",
-      ],
+      minTemperature: capabilities.minTemperature,
+      maxTemperature: capabilities.maxTemperature,
+      precision: capabilities.precision,
+      operationModes: [...capabilities.operationModes],
+      fanModes: [...capabilities.fanModes],
+      swingModes: [...capabilities.swingModes],
       commands: {},
     };
   } else {
@@ -99,7 +59,7 @@ function transformJSON(inputData, includeMetadata = false) {
   // Process each key-value pair in the input
   for (const [key, value] of Object.entries(inputData)) {
     // Handle simple "off" command - just "off" as key
-    if (key === "off") {
+    if (key === OFF_KEY) {
       offCommands.off = value;
       continue;
     }
@@ -107,9 +67,9 @@ function transformJSON(inputData, includeMetadata = false) {
     // Try to normalize the key - if it fails, skip it
     let normalized;
     try {
-      normalized = normalizeKey(key);
+      normalized = normalizeKey(key, model);
     } catch (error) {
-      console.warn(`Skipping invalid key format: ${key}`);
+      console.warn(`Skipping invalid key: ${error.message}`);
       continue;
     }
 
@@ -144,7 +104,7 @@ function transformJSON(inputData, includeMetadata = false) {
   return output;
 }
 
-function processFile(inputPath, outputPath, includeMetadata = false) {
+function processFile(inputPath, outputPath, includeMetadata = false, model = ARC480A48) {
   try {
     // Read input file
     const inputData = JSON.parse(fs.readFileSync(inputPath, "utf8"));
@@ -152,7 +112,7 @@ function processFile(inputPath, outputPath, includeMetadata = false) {
     console.log(`Processing: ${inputPath}`);
 
     // Transform the JSON (all info extracted from keys)
-    const outputData = transformJSON(inputData, includeMetadata);
+    const outputData = transformJSON(inputData, includeMetadata, model);
 
     // Write output file
     fs.writeFileSync(outputPath, JSON.stringify(outputData, null, 2), "utf8");
@@ -171,7 +131,7 @@ function processFile(inputPath, outputPath, includeMetadata = false) {
 
 // Main execution
 function main() {
-  const args = process.argv.slice(2);
+  const { model, args } = modelFromArgs(process.argv.slice(2));
 
   // Check for --full flag
   const includeMetadata = args.includes("--full");
@@ -212,12 +172,13 @@ function main() {
 
     // Default output path for --full mode
     outputPath =
-      filteredArgs[1] || path.join(__dirname, "result", "ftkc20tvm4.json");
+      filteredArgs[1] ||
+      path.join(__dirname, "result", `${model.supportedModels[0]}.json`);
   } else {
     // Normal mode - require input file
     if (filteredArgs.length < 1) {
       console.error(
-        "Usage: node generator.js <input-file> [output-file] [--full]",
+        "Usage: node generator.js <input-file> [output-file] [--full] [--model <name>]",
       );
       console.error(
         "  If output-file is not provided, it will be generated from input filename",
@@ -245,7 +206,7 @@ function main() {
     fs.mkdirSync(outputDir, { recursive: true });
   }
 
-  processFile(inputPath, outputPath, includeMetadata);
+  processFile(inputPath, outputPath, includeMetadata, model);
 }
 
 // Run if executed directly
@@ -0,0 +1,381 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const {
+  bytesToHex,
+  decodeCapture,
+  decodeFrame,
+  decodeRawTimings,
+  framesForState,
+  stateToBroadlinkBase64,
+  stateToPronto,
+  takeOption,
+} = require("./daikin_arc480a48");
+const { generateCommands, stateToMicroseconds } = require("./generate_daikin_arc480a48_states");
+const { transformJSON } = require("./generator");
+const { formatTemperature, stateToKey } = require("./command_key");
+const { buildBrowserBundle } = require("./build_browser");
+const { DEFAULT_MODEL, getModel } = require("./daikin_models");
+const { StateValidationError } = require("./errors");
+const { stateSchema, validateState } = require("./state_schema");
+
+/**
+ * HTTP API over the codec for services that would otherwise run the CLI
+ *
+ * - POST /encode: a state object (the same JSON `encode` takes) to Broadlink
+ *   base64, Pronto hex, raw microseconds, frame bytes and the SmartIR key.
+ *   `?repeat=` and `?transmissions=` apply to the Broadlink packet
+ * - POST /decode: `{"code": "<base64 | pronto>"}` or
+ *   `{"raw": "<raw timing text>", "format": "mode2"}` to decoded frames
+ * - GET /commands[/:mode[/:fan[/:swing[/:temp]]]]: the generated SmartIR tree,
+ *   or the part of it the path selects; /commands/off is the off code
+ * - GET /capabilities: the model's SmartIR metadata
+ * - GET /schema: the JSON Schema of the state object
+ * - POST /validate: a state object to `{"valid": ..., "errors": [...]}` with
+ *   every problem, its code and its field path
+ *
+ * - GET /: the web remote from web/; its /daikin_codec.js is the browser build
+ *   of the current sources
+ *
+ * Every endpoint takes `?model=`. Errors are JSON:
+ * `{"error": {"code": "invalid_state", "message": "...", "details": ...}}`.
+ * For `invalid_state` the details are the validateState errors.
+ */
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const WEB_ROOT = path.join(__dirname, "web");
+
+const STATIC_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+};
+
+// Served files built from the sources rather than read from web/
+const GENERATED_FILES = {
+  "daikin_codec.js": buildBrowserBundle,
+};
+
+function apiError(status, code, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  if (details !== undefined) error.details = details;
+  return error;
+}
+
+function sendJson(response, status, body, headers = {}) {
+  const json = JSON.stringify(body, null, 2);
+  response.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(json),
+    ...headers,
+  });
+  response.end(json);
+}
+
+// Past the limit the rest of the body is read and dropped rather than the
+// socket destroyed, so the client gets the 413 instead of a reset connection
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      if (!chunks) return;
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        chunks = null;
+        reject(apiError(413, "payload_too_large", `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => chunks && resolve(Buffer.concat(chunks).toString("utf8")));
+    request.on("error", reject);
+  });
+}
+
+async function readJsonObject(request) {
+  const text = await readBody(request);
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    throw apiError(400, "invalid_json", `Request body is not valid JSON: ${error.message}`);
+  }
+  if (body === null || typeof body !== "object" || Array.isArray(body)) {
+    throw apiError(400, "invalid_json", "Request body must be a JSON object");
+  }
+  return body;
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    throw apiError(400, "invalid_path", `Malformed path segment: ${segment}`);
+  }
+}
+
+function modelFromQuery(query) {
+  try {
+    return getModel(query.get("model") || DEFAULT_MODEL);
+  } catch (error) {
+    throw apiError(400, "unknown_model", error.message, error.details);
+  }
+}
+
+function integerQuery(query, name, fallback) {
+  if (!query.has(name)) return fallback;
+  const value = Number(query.get(name));
+  if (!Number.isInteger(value)) {
+    throw apiError(400, "invalid_option", `${name} must be an integer`, { option: name });
+  }
+  return value;
+}
+
+function encodeState(state, model, query) {
+  const repeat = integerQuery(query, "repeat", 0);
+  const transmissions = integerQuery(query, "transmissions", 1);
+
+  let frames;
+  try {
+    frames = framesForState(state, model);
+  } catch (error) {
+    const details = error instanceof StateValidationError ? error.errors : undefined;
+    throw apiError(400, "invalid_state", error.message, details);
+  }
+
+  let broadlink;
+  try {
+    broadlink = stateToBroadlinkBase64(state, model, model.timing, { repeat, transmissions });
+  } catch (error) {
+    throw apiError(400, "invalid_option", error.message);
+  }
+
+  let key = null;
+  try {
+    key = stateToKey(state, model);
+  } catch (error) {
+    // States outside the SmartIR key space still encode
+  }
+
+  return {
+    model: model.name,
+    key,
+    frames: frames.map(bytesToHex),
+    broadlink,
+    pronto: stateToPronto(state, model),
+    raw: stateToMicroseconds(state, model),
+  };
+}
+
+function decodeBody(body, model) {
+  const { code, raw, format } = body;
+  if (typeof code !== "string" && typeof raw !== "string") {
+    throw apiError(400, "invalid_code", 'Request body needs a "code" or "raw" string');
+  }
+
+  let frames;
+  try {
+    frames =
+      typeof code === "string"
+        ? decodeCapture(code.trim(), model)
+        : decodeRawTimings(raw, format, model);
+  } catch (error) {
+    throw apiError(400, "invalid_code", error.message);
+  }
+
+  return { model: model.name, frames: frames.map((bytes) => decodeFrame(bytes, model)) };
+}
+
+// The generated tree is built once per model
+const commandTrees = new Map();
+
+function commandTree(model) {
+  if (!commandTrees.has(model.name)) {
+    commandTrees.set(model.name, transformJSON(generateCommands(model), true, model));
+  }
+  return commandTrees.get(model.name);
+}
+
+function lookupCommands(segments, model) {
+  const tree = commandTree(model);
+  if (segments.length === 0) return tree;
+  if (segments[0] === "off" && segments.length === 1) return { key: "off", code: tree.commands.off };
+
+  const [mode, fan, swing, temperature] = segments;
+  const wanted = [mode, fan, swing];
+  if (temperature !== undefined) {
+    const value = Number(temperature);
+    wanted.push(Number.isFinite(value) ? formatTemperature(value) : temperature);
+  }
+
+  let node = tree.commands;
+  const names = ["mode", "fan", "swing", "temperature"];
+  for (const [index, segment] of wanted.slice(0, segments.length).entries()) {
+    if (!node || typeof node !== "object" || !(segment in node)) {
+      throw apiError(
+        404,
+        "command_not_found",
+        `No ${names[index]} "${segment}" in the command tree`,
+        {
+          [names[index]]: segment,
+          available: node && typeof node === "object" ? Object.keys(node) : [],
+        },
+      );
+    }
+    node = node[segment];
+  }
+
+  if (segments.length === 4) {
+    return { key: [mode, swing, fan, wanted[3]].join("-"), code: node };
+  }
+  return node;
+}
+
+function capabilities(model) {
+  const { commands, ...metadata } = commandTree(model);
+  return {
+    model: model.name,
+    remote: model.remote,
+    protocol: model.protocol,
+    frequency: model.frequency,
+    ...metadata,
+  };
+}
+
+const ROUTES = [
+  {
+    method: "POST",
+    pattern: /^\/encode$/,
+    async handle({ request, query }) {
+      const model = modelFromQuery(query);
+      return encodeState(await readJsonObject(request), model, query);
+    },
+  },
+  {
+    method: "POST",
+    pattern: /^\/decode$/,
+    async handle({ request, query }) {
+      const model = modelFromQuery(query);
+      return decodeBody(await readJsonObject(request), model);
+    },
+  },
+  {
+    method: "GET",
+    pattern: /^\/commands((?:\/[^/]+){0,4})\/?$/,
+    async handle({ query, match }) {
+      const segments = match[1].split("/").filter(Boolean).map(decodeSegment);
+      return lookupCommands(segments, modelFromQuery(query));
+    },
+  },
+  {
+    method: "GET",
+    pattern: /^\/capabilities$/,
+    async handle({ query }) {
+      return capabilities(modelFromQuery(query));
+    },
+  },
+  {
+    method: "GET",
+    pattern: /^\/schema$/,
+    async handle({ query }) {
+      return stateSchema(modelFromQuery(query));
+    },
+  },
+  {
+    method: "POST",
+    pattern: /^\/validate$/,
+    async handle({ request, query }) {
+      const model = modelFromQuery(query);
+      return validateState(await readJsonObject(request), model);
+    },
+  },
+];
+
+// Runs the route matching the path and method and sends its result as JSON
+async function handleRoutes(allRoutes, request, response) {
+  const url = new URL(request.url, "http://localhost");
+  const routes = allRoutes.filter((route) => route.pattern.test(url.pathname));
+
+  try {
+    if (routes.length === 0) {
+      throw apiError(404, "not_found", `No endpoint at ${url.pathname}`);
+    }
+    const route = routes.find((candidate) => candidate.method === request.method);
+    if (!route) {
+      const allowed = routes.map((candidate) => candidate.method).join(", ");
+      const error = apiError(
+        405,
+        "method_not_allowed",
+        `${request.method} is not allowed on ${url.pathname}`,
+      );
+      error.headers = { Allow: allowed };
+      throw error;
+    }
+
+    const match = route.pattern.exec(url.pathname);
+    sendJson(response, 200, await route.handle({ request, query: url.searchParams, match }));
+  } catch (error) {
+    if (!error.status) {
+      sendJson(response, 500, { error: { code: "internal_error", message: error.message } });
+      return;
+    }
+    const body = { code: error.code, message: error.message };
+    if (error.details !== undefined) body.details = error.details;
+    sendJson(response, error.status, { error: body }, error.headers);
+  }
+}
+
+function handleRequest(request, response) {
+  return handleRoutes(ROUTES, request, response);
+}
+
+// Serves index.html at / and the other files of web/ by name
+function serveStatic(request, response) {
+  if (request.method !== "GET") return false;
+  const { pathname } = new URL(request.url, "http://localhost");
+  const name = pathname === "/" ? "index.html" : pathname.slice(1);
+  const type = STATIC_TYPES[path.extname(name)];
+  const filePath = path.join(WEB_ROOT, name);
+  if (!type || !/^[\w-]+\.\w+$/.test(name)) return false;
+  if (!GENERATED_FILES[name] && !fs.existsSync(filePath)) return false;
+
+  const body = GENERATED_FILES[name]
+    ? Buffer.from(GENERATED_FILES[name]())
+    : fs.readFileSync(filePath);
+  response.writeHead(200, { "Content-Type": type, "Content-Length": body.length });
+  response.end(body);
+  return true;
+}
+
+function createApiServer() {
+  return http.createServer((request, response) => {
+    if (!serveStatic(request, response)) handleRequest(request, response);
+  });
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const host = takeOption(args, "--host") || "127.0.0.1";
+  const port = Number(takeOption(args, "--port") || 8080);
+
+  const server = createApiServer();
+  server.listen(port, host, () => {
+    console.log(`Daikin IR API listening on http://${host}:${server.address().port}`);
+  });
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  apiError,
+  createApiServer,
+  handleRequest,
+  handleRoutes,
+  readJsonObject,
+};
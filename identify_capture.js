@@ -0,0 +1,141 @@
+const {
+  ARC480A48,
+  bytesToHex,
+  decodeBroadlinkBase64,
+  decodeStateFrame,
+} = require("./daikin_arc480a48");
+const { generateCommands } = require("./generate_daikin_arc480a48_states");
+
+/**
+ * Map an arbitrary Broadlink capture to the SmartIR key(s) it corresponds to
+ *
+ * Match levels, strongest first:
+ * - identical: the base64 packet equals the command we generate
+ * - frames: the decoded frame bytes are equal, only the timing differs
+ * - semantic: every known field decodes to the same value, unknown bits differ
+ * - closest: no key matches; the keys with the fewest differing fields
+ */
+
+function frameSignature(frames) {
+  return frames.map(bytesToHex).join(" | ");
+}
+
+function stateFields(frames, model) {
+  const frame = frames.filter((bytes) => bytes.length === model.stateLength).pop();
+  if (!frame) return null;
+
+  const decoded = decodeStateFrame(frame, model);
+  const fields = {};
+  for (const field of model.fields) {
+    if (field.fixed == null) fields[field.name] = decoded[field.name];
+  }
+  return { fields, unknownBits: decoded.unknownBits };
+}
+
+function indexCommands(commands, model) {
+  const entries = [];
+  const values = {};
+
+  for (const [key, base64] of Object.entries(commands)) {
+    const frames = decodeBroadlinkBase64(base64, model);
+    const state = stateFields(frames, model);
+    entries.push({ key, base64, signature: frameSignature(frames), fields: state && state.fields });
+
+    if (!state) continue;
+    for (const [name, value] of Object.entries(state.fields)) {
+      if (!values[name]) values[name] = new Set();
+      values[name].add(value);
+    }
+  }
+
+  return { entries, values };
+}
+
+function fieldDifferences(actual, expected) {
+  return Object.keys(actual)
+    .filter((name) => actual[name] !== expected[name])
+    .map((name) => ({ field: name, actual: actual[name], expected: expected[name] }));
+}
+
+function unexpressedFields(state, values) {
+  const unexpressed = [];
+
+  for (const [name, value] of Object.entries(state.fields)) {
+    if (values[name] && !values[name].has(value)) {
+      unexpressed.push({
+        field: name,
+        value,
+        reason: `No SmartIR key produces ${name}=${JSON.stringify(value)}`,
+      });
+    }
+  }
+
+  for (const { byte, bit, field } of state.unknownBits) {
+    unexpressed.push({
+      field: field || "unknown",
+      value: { byte, bit },
+      reason: field
+        ? `Fixed ${field} bit ${bit} of byte ${byte} differs from the generated frame`
+        : `Bit ${bit} of byte ${byte} is outside the known field layout`,
+    });
+  }
+
+  return unexpressed;
+}
+
+function identifyCapture(base64, model = ARC480A48, commands = generateCommands(model)) {
+  const frames = decodeBroadlinkBase64(base64, model);
+  const signature = frameSignature(frames);
+  const state = stateFields(frames, model);
+  const { entries, values } = indexCommands(commands, model);
+
+  const result = {
+    match: "none",
+    keys: [],
+    frames: frames.map(bytesToHex),
+    state: state && state.fields,
+    differences: [],
+    unexpressed: state ? unexpressedFields(state, values) : [],
+  };
+
+  const identical = entries.filter((entry) => entry.base64 === base64);
+  if (identical.length > 0) {
+    return { ...result, match: "identical", keys: identical.map((entry) => entry.key) };
+  }
+
+  const sameFrames = entries.filter((entry) => entry.signature === signature);
+  if (sameFrames.length > 0) {
+    return { ...result, match: "frames", keys: sameFrames.map((entry) => entry.key) };
+  }
+
+  if (!state) return result;
+
+  let best = [];
+  let bestCount = Infinity;
+  for (const entry of entries) {
+    if (!entry.fields) continue;
+    const differences = fieldDifferences(state.fields, entry.fields);
+    if (differences.length < bestCount) {
+      best = [{ entry, differences }];
+      bestCount = differences.length;
+    } else if (differences.length === bestCount) {
+      best.push({ entry, differences });
+    }
+  }
+
+  if (best.length === 0) return result;
+
+  return {
+    ...result,
+    match: bestCount === 0 ? "semantic" : "closest",
+    keys: best.map(({ entry }) => entry.key),
+    differences:
+      bestCount === 0
+        ? []
+        : best.map(({ entry, differences }) => ({ key: entry.key, fields: differences })),
+  };
+}
+
+module.exports = {
+  identifyCapture,
+};
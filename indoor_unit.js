@@ -0,0 +1,277 @@
+const http = require("http");
+const {
+  ARC480A48,
+  decodeCapture,
+  decodeFrame,
+  decodeMicroseconds,
+  decodeRawTimings,
+  takeOption,
+} = require("./daikin_arc480a48");
+const { defaultState } = require("./daikin_controller");
+const { startFakeDevice } = require("./fake_broadlink_device");
+const { apiError, handleRoutes, readJsonObject } = require("./http_api");
+const { modelFromArgs } = require("./daikin_models");
+
+/**
+ * Simulated Daikin indoor unit
+ *
+ * Receives IR codes the way the unit's receiver would: Broadlink base64,
+ * Pronto hex, raw timing text or a list of microsecond durations. Each frame
+ * is decoded and only frames with a valid checksum and known field values are
+ * applied. A state frame sets the whole state; the off frames switch the unit
+ * off only when they arrive as the model's complete off sequence (preamble,
+ * clock, off). The unit keeps its settings while off, as the real one shows
+ * them again on the next power on.
+ *
+ * Every applied or rejected frame is recorded in an event log. `--port` serves
+ * the state and the log over HTTP, and `--broadlink-port` adds a fake
+ * Broadlink RM whose sent codes reach the unit, so automations can run against
+ * it unchanged.
+ */
+
+const UNIT_FIELDS = [
+  "power",
+  "mode",
+  "temperature",
+  "fanMode",
+  "swing",
+  "powerful",
+  "quiet",
+  "comfort",
+  "powerSavingMode",
+];
+
+function decodeInput(input, model) {
+  if (typeof input === "string") return decodeCapture(input.trim(), model);
+  if (input && Array.isArray(input.durations)) {
+    return decodeMicroseconds(input.durations.map(Number), model.timing);
+  }
+  if (input && typeof input.code === "string") return decodeCapture(input.code.trim(), model);
+  if (input && typeof input.raw === "string") {
+    return decodeRawTimings(input.raw, input.format, model);
+  }
+  throw new Error('Expected a code string, {"code"}, {"raw", "format"} or {"durations"}');
+}
+
+// Field values the decoder could not map are named unknown_<raw>
+function unknownValue(frame) {
+  return Object.entries(frame).find(
+    ([field, value]) => UNIT_FIELDS.includes(field) && String(value).startsWith("unknown_"),
+  );
+}
+
+function createIndoorUnit({
+  model = ARC480A48,
+  state = {},
+  maxEvents = 1000,
+  now = () => new Date(),
+} = {}) {
+  let current = { ...defaultState(model), power: false, ...state };
+  const events = [];
+  let sequence = 0;
+
+  function record(type, details) {
+    sequence += 1;
+    const event = { sequence, time: now().toISOString(), type, ...details };
+    events.push(event);
+    if (events.length > maxEvents) events.shift();
+    return event;
+  }
+
+  // Frames in modes without a setpoint carry a placeholder temperature, so the
+  // unit keeps the last setpoint for when it returns to one
+  function apply(values, details) {
+    const { setpointModes } = model.capabilities;
+    const changes = [];
+    const next = { ...current };
+    for (const field of UNIT_FIELDS) {
+      if (values[field] === undefined || values[field] === current[field]) continue;
+      if (field === "temperature" && !setpointModes.includes(values.mode)) continue;
+      changes.push({ field, from: current[field], to: values[field] });
+      next[field] = values[field];
+    }
+    current = next;
+    return record(values.power ? "state" : "off", { ...details, changes });
+  }
+
+  function receive(input, source = "api") {
+    let frames;
+    try {
+      frames = decodeInput(input, model);
+    } catch (error) {
+      return [record("rejected", { source, reason: error.message })];
+    }
+    if (frames.length === 0) {
+      return [record("rejected", { source, reason: "No frames in the code" })];
+    }
+
+    const recorded = [];
+    let offFrames = [];
+    const reject = (frame, reason) => {
+      recorded.push(record("rejected", { source, frames: [frame.bytes], reason }));
+      offFrames = [];
+    };
+
+    for (const bytes of frames) {
+      const frame = decodeFrame(bytes, model);
+      if (frame.kind === "unknown") {
+        reject(frame, `Unknown ${bytes.length}-byte frame`);
+        continue;
+      }
+      if (!frame.checksum.valid) {
+        const hex = (value) => `0x${value.toString(16).padStart(2, "0")}`;
+        reject(
+          frame,
+          `Checksum ${hex(frame.checksum.actual)} does not match ${hex(frame.checksum.expected)}`,
+        );
+        continue;
+      }
+      const unknown = unknownValue(frame);
+      if (unknown) {
+        reject(frame, `Unsupported ${unknown[0]}: ${unknown[1]}`);
+        continue;
+      }
+
+      if (frame.kind === "state") {
+        offFrames = [];
+        recorded.push(apply(frame, { source, frames: [frame.bytes] }));
+        continue;
+      }
+
+      // Preamble, clock and off frames only count as the whole off sequence
+      if (frame.kind !== model.offSequence[offFrames.length]) {
+        reject(frame, `${frame.kind} frame out of the off sequence`);
+        if (frame.kind === model.offSequence[0]) offFrames = [frame];
+        continue;
+      }
+      offFrames.push(frame);
+      if (offFrames.length === model.offSequence.length) {
+        recorded.push(
+          apply({ power: false }, { source, frames: offFrames.map(({ bytes }) => bytes) }),
+        );
+        offFrames = [];
+      }
+    }
+
+    if (offFrames.length > 0) {
+      recorded.push(
+        record("rejected", {
+          source,
+          frames: offFrames.map(({ bytes }) => bytes),
+          reason: `Incomplete off sequence: got ${offFrames.map(({ kind }) => kind).join(", ")}`,
+        }),
+      );
+    }
+    return recorded;
+  }
+
+  return {
+    model,
+    get state() {
+      return { ...current };
+    },
+    events,
+    receive,
+    eventsSince(after = 0) {
+      return events.filter((event) => event.sequence > after);
+    },
+  };
+}
+
+function unitRoutes(unit) {
+  return [
+    {
+      method: "POST",
+      pattern: /^\/ir$/,
+      async handle({ request }) {
+        const body = await readJsonObject(request);
+        const { code, raw, durations } = body;
+        if (typeof code !== "string" && typeof raw !== "string" && !Array.isArray(durations)) {
+          throw apiError(
+            400,
+            "invalid_code",
+            'Request body needs a "code" or "raw" string or a "durations" array',
+          );
+        }
+        const events = unit.receive(body, typeof body.source === "string" ? body.source : "api");
+        return { events, state: unit.state };
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/state$/,
+      async handle() {
+        return unit.state;
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/events$/,
+      async handle({ query }) {
+        const since = Number(query.get("since") || 0);
+        if (!Number.isInteger(since) || since < 0) {
+          throw apiError(400, "invalid_option", "since must be a non-negative integer", {
+            option: "since",
+          });
+        }
+        return { events: unit.eventsSince(since) };
+      },
+    },
+  ];
+}
+
+function createUnitServer(unit) {
+  const routes = unitRoutes(unit);
+  return http.createServer((request, response) => {
+    handleRoutes(routes, request, response);
+  });
+}
+
+function describeEvent(event) {
+  if (event.type === "rejected") return `#${event.sequence} rejected: ${event.reason}`;
+  const changes = event.changes.map(
+    ({ field, from, to }) => `${field} ${JSON.stringify(from)} -> ${JSON.stringify(to)}`,
+  );
+  return `#${event.sequence} ${event.type}: ${changes.join(", ") || "no change"}`;
+}
+
+async function main() {
+  const { model, args } = modelFromArgs(process.argv.slice(2));
+  const host = takeOption(args, "--host") || "127.0.0.1";
+  const port = Number(takeOption(args, "--port") || 8081);
+  const broadlinkPort = takeOption(args, "--broadlink-port");
+  const initial = takeOption(args, "--state");
+
+  const unit = createIndoorUnit({ model, state: initial ? JSON.parse(initial) : {} });
+  const server = createUnitServer(unit);
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  console.log(`Indoor unit API listening on http://${host}:${server.address().port}`);
+
+  if (broadlinkPort !== undefined) {
+    const device = await startFakeDevice({
+      host,
+      port: Number(broadlinkPort),
+      name: "Indoor unit",
+      onSend(code) {
+        unit.receive(code, "broadlink").forEach((event) => console.log(describeEvent(event)));
+      },
+    });
+    console.log(`Fake Broadlink RM (${device.mac}) listening on ${device.host}:${device.port}`);
+  }
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createIndoorUnit,
+  createUnitServer,
+};
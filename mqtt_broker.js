@@ -0,0 +1,179 @@
+const net = require("net");
+const { takeOption } = require("./daikin_arc480a48");
+const {
+  PACKET,
+  encodePacket,
+  parsePublish,
+  publishPacket,
+  readPackets,
+  readString,
+  topicMatches,
+} = require("./mqtt_client");
+
+/**
+ * In-process MQTT 3.1.1 broker for tests and local development
+ *
+ * Accepts any client, routes QoS 0 and 1 publishes to matching subscriptions
+ * (delivered at QoS 0), keeps retained messages and sends them on subscribe,
+ * and publishes a client's last will when its connection drops without a
+ * DISCONNECT. Every routed message is recorded in `messages`.
+ */
+
+function readConnect(body) {
+  const protocol = readString(body, 0);
+  let offset = protocol.next;
+  const level = body[offset];
+  const flags = body[offset + 1];
+  offset += 4;
+
+  const clientId = readString(body, offset);
+  offset = clientId.next;
+  let will = null;
+  if (flags & 0x04) {
+    const topic = readString(body, offset);
+    const payload = readString(body, topic.next);
+    offset = payload.next;
+    will = {
+      topic: topic.value.toString("utf8"),
+      payload: Buffer.from(payload.value),
+      retain: (flags & 0x20) !== 0,
+    };
+  }
+
+  return {
+    protocol: protocol.value.toString("utf8"),
+    level,
+    clientId: clientId.value.toString("utf8"),
+    will,
+  };
+}
+
+function readSubscribe(body) {
+  const packetId = body.readUInt16BE(0);
+  const filters = [];
+  let offset = 2;
+  while (offset < body.length) {
+    const filter = readString(body, offset);
+    filters.push(filter.value.toString("utf8"));
+    offset = filter.next + 1;
+  }
+  return { packetId, filters };
+}
+
+function startMqttBroker({ host = "127.0.0.1", port = 0 } = {}) {
+  const sessions = new Set();
+  const retained = new Map();
+  const messages = [];
+
+  function route(topic, payload, retain) {
+    messages.push({ topic, payload: payload.toString("utf8"), retain });
+    if (retain) {
+      if (payload.length === 0) retained.delete(topic);
+      else retained.set(topic, payload);
+    }
+    for (const session of sessions) {
+      if (session.filters.some((filter) => topicMatches(filter, topic))) {
+        session.socket.write(publishPacket(topic, payload));
+      }
+    }
+  }
+
+  function handlePacket(session, packet) {
+    const { socket } = session;
+
+    if (packet.type === PACKET.connect) {
+      const connect = readConnect(packet.body);
+      if (connect.protocol !== "MQTT" || connect.level !== 4) {
+        socket.end(encodePacket(PACKET.connack, 0, Buffer.from([0, 1])));
+        return;
+      }
+      session.clientId = connect.clientId;
+      session.will = connect.will;
+      sessions.add(session);
+      socket.write(encodePacket(PACKET.connack, 0, Buffer.from([0, 0])));
+    } else if (packet.type === PACKET.publish) {
+      const message = parsePublish(packet);
+      if (message.qos === 1) {
+        const ack = Buffer.alloc(2);
+        ack.writeUInt16BE(message.packetId, 0);
+        socket.write(encodePacket(PACKET.puback, 0, ack));
+      }
+      route(message.topic, message.payload, message.retain);
+    } else if (packet.type === PACKET.subscribe) {
+      const { packetId, filters } = readSubscribe(packet.body);
+      session.filters.push(...filters);
+      const ack = Buffer.alloc(2 + filters.length);
+      ack.writeUInt16BE(packetId, 0);
+      socket.write(encodePacket(PACKET.suback, 0, ack));
+      for (const [topic, payload] of retained) {
+        if (filters.some((filter) => topicMatches(filter, topic))) {
+          socket.write(publishPacket(topic, payload, { retain: true }));
+        }
+      }
+    } else if (packet.type === PACKET.pingreq) {
+      socket.write(encodePacket(PACKET.pingresp, 0));
+    } else if (packet.type === PACKET.disconnect) {
+      session.will = null;
+      socket.end();
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    const session = { socket, clientId: null, filters: [], will: null };
+    let buffer = Buffer.alloc(0);
+
+    socket.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      try {
+        const { packets, rest } = readPackets(buffer);
+        buffer = Buffer.from(rest);
+        for (const packet of packets) handlePacket(session, packet);
+      } catch (error) {
+        socket.destroy();
+      }
+    });
+    socket.on("error", () => {});
+    socket.on("close", () => {
+      sessions.delete(session);
+      if (session.will) route(session.will.topic, session.will.payload, session.will.retain);
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      const address = server.address();
+      resolve({
+        host: address.address,
+        port: address.port,
+        messages,
+        retained,
+        close() {
+          for (const session of sessions) session.socket.destroy();
+          return new Promise((done) => server.close(done));
+        },
+      });
+    });
+  });
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const host = takeOption(args, "--host") || "127.0.0.1";
+  const port = Number(takeOption(args, "--port") || 1883);
+  const broker = await startMqttBroker({ host, port });
+  console.log(`MQTT broker listening on ${broker.host}:${broker.port}`);
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  startMqttBroker,
+};
@@ -0,0 +1,314 @@
+const EventEmitter = require("events");
+const net = require("net");
+
+/**
+ * Minimal MQTT 3.1.1 client over plain TCP
+ *
+ * Covers what the climate bridge needs and nothing more: CONNECT with clean
+ * session, credentials and a last will, QoS 0 PUBLISH with the retain flag,
+ * SUBSCRIBE with `+`/`#` filters, keepalive pings and DISCONNECT. Incoming
+ * messages are emitted as `message` events with (topic, payload Buffer,
+ * { retain }). The packet codec is shared with mqtt_broker.js.
+ */
+
+const PACKET = {
+  connect: 1,
+  connack: 2,
+  publish: 3,
+  puback: 4,
+  subscribe: 8,
+  suback: 9,
+  unsubscribe: 10,
+  unsuback: 11,
+  pingreq: 12,
+  pingresp: 13,
+  disconnect: 14,
+};
+
+const CONNACK_ERRORS = {
+  1: "Unacceptable protocol version",
+  2: "Identifier rejected",
+  3: "Server unavailable",
+  4: "Bad user name or password",
+  5: "Not authorized",
+};
+
+function encodeLength(length) {
+  const bytes = [];
+  do {
+    let byte = length % 128;
+    length = Math.floor(length / 128);
+    if (length > 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (length > 0);
+  return Buffer.from(bytes);
+}
+
+function encodeString(value) {
+  const bytes = Buffer.isBuffer(value) ? value : Buffer.from(String(value), "utf8");
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(bytes.length, 0);
+  return Buffer.concat([length, bytes]);
+}
+
+function encodePacket(type, flags, body = Buffer.alloc(0)) {
+  return Buffer.concat([Buffer.from([(type << 4) | flags]), encodeLength(body.length), body]);
+}
+
+function connectPacket({ clientId, username, password, keepalive, will }) {
+  let flags = 0x02;
+  const payload = [encodeString(clientId)];
+  if (will) {
+    flags |= 0x04 | (will.retain ? 0x20 : 0);
+    payload.push(encodeString(will.topic), encodeString(Buffer.from(will.payload)));
+  }
+  if (username != null) {
+    flags |= 0x80;
+    payload.push(encodeString(username));
+  }
+  if (password != null) {
+    flags |= 0x40;
+    payload.push(encodeString(password));
+  }
+
+  const header = Buffer.alloc(4);
+  header[0] = 4;
+  header[1] = flags;
+  header.writeUInt16BE(keepalive, 2);
+  return encodePacket(PACKET.connect, 0, Buffer.concat([encodeString("MQTT"), header, ...payload]));
+}
+
+function publishPacket(topic, payload, { retain = false } = {}) {
+  return encodePacket(
+    PACKET.publish,
+    retain ? 0x01 : 0,
+    Buffer.concat([encodeString(topic), Buffer.from(payload)]),
+  );
+}
+
+function subscribePacket(packetId, filters) {
+  const id = Buffer.alloc(2);
+  id.writeUInt16BE(packetId, 0);
+  const topics = filters.map((filter) => Buffer.concat([encodeString(filter), Buffer.from([0])]));
+  return encodePacket(PACKET.subscribe, 0x02, Buffer.concat([id, ...topics]));
+}
+
+// Splits a stream buffer into whole packets; returns the unread rest
+function readPackets(buffer) {
+  const packets = [];
+  let offset = 0;
+
+  while (offset + 2 <= buffer.length) {
+    let length = 0;
+    let multiplier = 1;
+    let index = offset + 1;
+    let complete = false;
+    while (index < buffer.length && index < offset + 5) {
+      const byte = buffer[index];
+      length += (byte & 0x7f) * multiplier;
+      multiplier *= 128;
+      index += 1;
+      if ((byte & 0x80) === 0) {
+        complete = true;
+        break;
+      }
+    }
+    if (!complete) {
+      if (index >= offset + 5) throw new Error("Malformed MQTT remaining length");
+      break;
+    }
+    if (index + length > buffer.length) break;
+
+    packets.push({
+      type: buffer[offset] >> 4,
+      flags: buffer[offset] & 0x0f,
+      body: buffer.subarray(index, index + length),
+    });
+    offset = index + length;
+  }
+
+  return { packets, rest: buffer.subarray(offset) };
+}
+
+function readString(body, offset) {
+  const length = body.readUInt16BE(offset);
+  return { value: body.subarray(offset + 2, offset + 2 + length), next: offset + 2 + length };
+}
+
+function parsePublish({ flags, body }) {
+  const topic = readString(body, 0);
+  const qos = (flags >> 1) & 0x03;
+  const packetId = qos > 0 ? body.readUInt16BE(topic.next) : null;
+  return {
+    topic: topic.value.toString("utf8"),
+    payload: Buffer.from(body.subarray(topic.next + (qos > 0 ? 2 : 0))),
+    retain: (flags & 0x01) === 1,
+    qos,
+    packetId,
+  };
+}
+
+// `+` matches one level, `#` the rest of the topic
+function topicMatches(filter, topic) {
+  const filterLevels = filter.split("/");
+  const topicLevels = topic.split("/");
+  for (let i = 0; i < filterLevels.length; i += 1) {
+    if (filterLevels[i] === "#") return true;
+    if (i >= topicLevels.length) return false;
+    if (filterLevels[i] !== "+" && filterLevels[i] !== topicLevels[i]) return false;
+  }
+  return filterLevels.length === topicLevels.length;
+}
+
+function parseBrokerUrl(value) {
+  const url = new URL(value.includes("://") ? value : `mqtt://${value}`);
+  if (url.protocol !== "mqtt:") throw new Error(`Unsupported broker protocol: ${url.protocol}`);
+  return {
+    host: url.hostname,
+    port: url.port ? Number(url.port) : 1883,
+    username: url.username ? decodeURIComponent(url.username) : undefined,
+    password: url.password ? decodeURIComponent(url.password) : undefined,
+  };
+}
+
+function connectMqtt({
+  host = "127.0.0.1",
+  port = 1883,
+  clientId = `daikin-${process.pid}-${Date.now().toString(36)}`,
+  username,
+  password,
+  keepalive = 60,
+  will,
+  timeout = 5000,
+} = {}) {
+  return new Promise((resolve, reject) => {
+    const client = new EventEmitter();
+    const socket = net.connect({ host, port });
+    const pendingSubscriptions = new Map();
+    let buffer = Buffer.alloc(0);
+    let nextPacketId = 1;
+    let connected = false;
+    let pingTimer = null;
+
+    const connectTimer = setTimeout(() => {
+      socket.destroy();
+      reject(new Error(`No CONNACK from MQTT broker ${host}:${port} within ${timeout} ms`));
+    }, timeout);
+
+    function write(packet) {
+      return new Promise((done, fail) => {
+        if (socket.destroyed) {
+          fail(new Error("MQTT connection is closed"));
+          return;
+        }
+        socket.write(packet, (error) => (error ? fail(error) : done()));
+      });
+    }
+
+    function handlePacket(packet) {
+      if (packet.type === PACKET.connack) {
+        clearTimeout(connectTimer);
+        const code = packet.body[1];
+        if (code !== 0) {
+          socket.destroy();
+          reject(new Error(`MQTT connection refused: ${CONNACK_ERRORS[code] || `code ${code}`}`));
+          return;
+        }
+        connected = true;
+        if (keepalive > 0) {
+          pingTimer = setInterval(() => {
+            write(encodePacket(PACKET.pingreq, 0)).catch(() => {});
+          }, keepalive * 500);
+        }
+        resolve(client);
+      } else if (packet.type === PACKET.publish) {
+        const message = parsePublish(packet);
+        if (message.qos === 1) {
+          const ack = Buffer.alloc(2);
+          ack.writeUInt16BE(message.packetId, 0);
+          write(encodePacket(PACKET.puback, 0, ack)).catch(() => {});
+        }
+        client.emit("message", message.topic, message.payload, { retain: message.retain });
+      } else if (packet.type === PACKET.suback) {
+        const packetId = packet.body.readUInt16BE(0);
+        const pending = pendingSubscriptions.get(packetId);
+        if (!pending) return;
+        pendingSubscriptions.delete(packetId);
+        const refused = [...packet.body.subarray(2)].some((code) => code === 0x80);
+        if (refused) pending.reject(new Error("MQTT broker refused the subscription"));
+        else pending.resolve();
+      }
+    }
+
+    socket.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      try {
+        const { packets, rest } = readPackets(buffer);
+        buffer = Buffer.from(rest);
+        packets.forEach(handlePacket);
+      } catch (error) {
+        socket.destroy(error);
+      }
+    });
+
+    socket.on("error", (error) => {
+      if (!connected) {
+        clearTimeout(connectTimer);
+        reject(error);
+      } else {
+        client.emit("error", error);
+      }
+    });
+
+    socket.on("close", () => {
+      clearInterval(pingTimer);
+      for (const pending of pendingSubscriptions.values()) {
+        pending.reject(new Error("MQTT connection closed"));
+      }
+      pendingSubscriptions.clear();
+      if (connected) client.emit("close");
+    });
+
+    socket.on("connect", () => {
+      write(connectPacket({ clientId, username, password, keepalive, will })).catch(reject);
+    });
+
+    client.publish = (topic, payload, options) => write(publishPacket(topic, payload, options));
+
+    client.subscribe = (filters) => {
+      const packetId = nextPacketId;
+      nextPacketId = (nextPacketId % 0xffff) + 1;
+      return new Promise((done, fail) => {
+        pendingSubscriptions.set(packetId, { resolve: done, reject: fail });
+        write(subscribePacket(packetId, [].concat(filters))).catch((error) => {
+          pendingSubscriptions.delete(packetId);
+          fail(error);
+        });
+      });
+    };
+
+    client.end = () =>
+      new Promise((done) => {
+        clearInterval(pingTimer);
+        if (socket.destroyed) {
+          done();
+          return;
+        }
+        socket.once("close", done);
+        socket.end(encodePacket(PACKET.disconnect, 0));
+      });
+  });
+}
+
+module.exports = {
+  PACKET,
+  connectMqtt,
+  encodePacket,
+  encodeString,
+  parseBrokerUrl,
+  parsePublish,
+  publishPacket,
+  readPackets,
+  readString,
+  topicMatches,
+};
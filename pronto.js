@@ -0,0 +1,78 @@
+/**
+ * Pronto hex conversion for raw IR timings
+ *
+ * Learned Pronto codes ("0000" format) are 4-digit hex words:
+ *   0000 <frequency> <once pairs> <repeat pairs> <mark space>...
+ * The frequency word is 1000000 / (carrier Hz * 0.241246) and every duration is
+ * a count of carrier periods.
+ */
+
+const PRONTO_CLOCK_US = 0.241246;
+
+function frequencyWord(frequency) {
+  return Math.round(1000000 / (frequency * PRONTO_CLOCK_US));
+}
+
+function carrierPeriodUs(word) {
+  return word * PRONTO_CLOCK_US;
+}
+
+function hexWord(value) {
+  return value.toString(16).toUpperCase().padStart(4, "0");
+}
+
+function isPronto(value) {
+  return /^\s*0000(\s+[0-9a-fA-F]{4})+\s*$/.test(value);
+}
+
+// Durations alternate mark/space and must end with a space; pass a trailing
+// space when the list ends on a mark.
+function durationsToPronto(durations, frequency = 38000, trailingSpace = 0) {
+  const timings = durations.slice();
+  if (timings.length % 2 === 1) timings.push(trailingSpace);
+
+  const word = frequencyWord(frequency);
+  const period = carrierPeriodUs(word);
+  const words = [0x0000, word, timings.length / 2, 0x0000];
+  for (const micros of timings) {
+    words.push(Math.min(0xffff, Math.max(1, Math.round(micros / period))));
+  }
+
+  return words.map(hexWord).join(" ");
+}
+
+function prontoToDurations(pronto) {
+  if (!isPronto(pronto)) {
+    throw new Error("Unsupported Pronto code: only learned 0000 codes are supported");
+  }
+
+  const words = pronto.trim().split(/\s+/).map((word) => parseInt(word, 16));
+  if (words.length < 4) {
+    throw new Error(
+      `Pronto code has ${words.length} words, too few for the header ` +
+        "(0000, frequency, once and repeat pair counts)",
+    );
+  }
+  const [, word, oncePairs, repeatPairs] = words;
+  if (word === 0) throw new Error("Pronto frequency word must not be 0");
+
+  const expected = 4 + (oncePairs + repeatPairs) * 2;
+  if (words.length !== expected) {
+    throw new Error(`Pronto code has ${words.length} words, expected ${expected}`);
+  }
+
+  const period = carrierPeriodUs(word);
+  const once = words.slice(4, 4 + oncePairs * 2);
+  const repeat = words.slice(4 + oncePairs * 2);
+
+  return {
+    frequency: Math.round(1000000 / period),
+    durations: (once.length > 0 ? once : repeat).map((count) => count * period),
+  };
+}
+
+module.exports = {
+  durationsToPronto,
+  isPronto,
+  prontoToDurations,
+};
@@ -0,0 +1,145 @@
+/**
+ * Raw timing adapters for receivers other than Broadlink
+ *
+ * Every adapter returns alternating mark/space durations in microseconds,
+ * starting with a mark, ready for the duration decoder:
+ * - IRrecvDumpV2 (IRremoteESP8266): the `uint16_t rawData[N] = {...}` line, or
+ *   the older `Raw Timing[N]:` block of signed values
+ * - LIRC mode2: `pulse N` / `space N` lines, up to the first `timeout`
+ * - sigrok/Saleae CSV: a time column plus the demodulated IR line, which is
+ *   active low (receiver output low during a mark) unless told otherwise
+ * Only the first capture in a log is read.
+ */
+
+const TIME_UNITS = { s: 1e6, ms: 1e3, us: 1, µs: 1, ns: 1e-3 };
+
+function parseIrrecvDump(text) {
+  const rawData = /uint16_t\s+rawData\[(\d*)\]\s*=\s*\{([^}]*)\}/.exec(text);
+  if (rawData) {
+    const durations = rawData[2].split(",").map((value) => value.trim()).filter(Boolean).map(Number);
+    if (rawData[1] && Number(rawData[1]) !== durations.length) {
+      throw new Error(`rawData declares ${rawData[1]} entries but holds ${durations.length}`);
+    }
+    return durations;
+  }
+
+  const rawTiming = /Raw Timing\[(\d+)\]:([\s\S]*?)(?:\n\s*\n|$)/.exec(text);
+  if (rawTiming) {
+    const values = rawTiming[2].match(/[+-]\s*\d+/g) || [];
+    const durations = values.map((value) => Number(value.replace(/[+-\s]/g, "")));
+    if (Number(rawTiming[1]) !== durations.length) {
+      throw new Error(`Raw Timing declares ${rawTiming[1]} entries but holds ${durations.length}`);
+    }
+    return durations;
+  }
+
+  throw new Error("No rawData array or Raw Timing block found in IRrecvDumpV2 output");
+}
+
+function parseMode2(text) {
+  const durations = [];
+  let lastKind = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    const match = /^\s*(pulse|space|timeout)\s+(\d+)\s*$/.exec(line);
+    if (!match) continue;
+
+    const [, kind, value] = match;
+    if (kind === "timeout") break;
+    // A capture starts with a mark; merge repeated pulse or space lines
+    if (durations.length === 0 && kind === "space") continue;
+    if (kind === lastKind) {
+      durations[durations.length - 1] += Number(value);
+    } else {
+      durations.push(Number(value));
+      lastKind = kind;
+    }
+  }
+
+  if (lastKind === "space") durations.pop();
+  if (durations.length === 0) throw new Error("No pulse lines found in mode2 output");
+  return durations;
+}
+
+function timeScale(header) {
+  const unit = /\[\s*([a-zµ]+)\s*\]/i.exec(header);
+  if (!unit) return TIME_UNITS.s;
+  const scale = TIME_UNITS[unit[1].toLowerCase()];
+  if (scale == null) throw new Error(`Unsupported time unit: ${unit[1]}`);
+  return scale;
+}
+
+function parseLogicCsv(text, { channel, activeLow = true } = {}) {
+  const rows = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith(";") && !line.startsWith("#"));
+  if (rows.length < 2) throw new Error("CSV has no samples");
+
+  const header = rows[0].split(",").map((column) => column.trim().replace(/^"|"$/g, ""));
+  const timeColumn = header.findIndex((column) => /time/i.test(column));
+  if (timeColumn === -1) throw new Error("CSV needs a time column");
+
+  const valueColumn = channel
+    ? header.indexOf(channel)
+    : header.findIndex((_, index) => index !== timeColumn);
+  if (valueColumn === -1) throw new Error(`Channel not found in CSV header: ${channel}`);
+
+  const scale = timeScale(header[timeColumn]);
+  const active = activeLow ? 0 : 1;
+  const edges = [];
+  let level = null;
+  let started = false;
+
+  // Saleae exports only transitions, sigrok every sample; both reduce to edges.
+  // Edges count from the first switch into a mark, so a capture that began
+  // while the line was already active is skipped.
+  for (const row of rows.slice(1)) {
+    const columns = row.split(",");
+    const value = Number(columns[valueColumn]) ? 1 : 0;
+    if (value === level) continue;
+    if (level !== null && value === active) started = true;
+    if (started) edges.push(Number(columns[timeColumn]) * scale);
+    level = value;
+  }
+
+  const durations = [];
+  for (let i = 1; i < edges.length; i += 1) durations.push(edges[i] - edges[i - 1]);
+  if (durations.length % 2 === 0) durations.pop();
+  if (durations.length === 0) throw new Error("No marks found in CSV");
+
+  return durations;
+}
+
+function detectRawFormat(text) {
+  if (/rawData\[\d*\]\s*=|Raw Timing\[\d+\]/.test(text)) return "irrecvdump";
+  if (/^\s*(pulse|space)\s+\d+\s*$/m.test(text)) return "mode2";
+  const firstLine = text.split(/\r?\n/).find((line) => line.trim() && !line.startsWith(";"));
+  if (firstLine && firstLine.includes(",") && /time/i.test(firstLine)) return "csv";
+  return null;
+}
+
+const RAW_PARSERS = {
+  irrecvdump: parseIrrecvDump,
+  mode2: parseMode2,
+  csv: parseLogicCsv,
+};
+
+// `options` reach the CSV parser: { channel, activeLow }
+function parseRawTimings(text, format = detectRawFormat(text), options = {}) {
+  if (!RAW_PARSERS[format]) {
+    throw new Error(
+      `Unrecognized raw timing format; expected one of: ${Object.keys(RAW_PARSERS).join(", ")}`,
+    );
+  }
+  return { format, durations: RAW_PARSERS[format](text, options) };
+}
+
+module.exports = {
+  RAW_PARSERS,
+  detectRawFormat,
+  parseIrrecvDump,
+  parseLogicCsv,
+  parseMode2,
+  parseRawTimings,
+};
@@ -0,0 +1,277 @@
+const { StateValidationError } = require("./errors");
+
+/**
+ * JSON Schema and validation for encoder state objects
+ *
+ * The schema is built from the model: one property per field of the state,
+ * off and clock frame layouts, plus `powerSavingMode`. `validateState`
+ * checks a state against the same rules and returns every problem at once:
+ *
+ *   { code: "unsupported_value", path: "/fanMode", field: "fanMode",
+ *     message: "Unsupported fanMode: turbo", value: "turbo", expected: [...] }
+ *
+ * Codes: `invalid_type`, `unsupported_value`, `out_of_range`, `invalid_step`,
+ * `unsupported_field` (known but not encodable, such as mold) and
+ * `unknown_field` (with a `suggestion` for near misses like `fanmode`).
+ * Temperature may be null only in modes without a setpoint; the mode a state
+ * leaves out is the model default.
+ * The encoder runs it first and throws a StateValidationError with the list.
+ *
+ * Run directly to print the schema: node state_schema.js [--model <name>]
+ */
+
+const SCHEMA_DRAFT = "https://json-schema.org/draft/2020-12/schema";
+
+// Required lazily: the codec validates through this module
+function defaultModel() {
+  return require("./daikin_arc480a48").ARC480A48;
+}
+
+function problem(code, field, message, details = {}) {
+  return { code, path: field === null ? "" : `/${field}`, field, message, ...details };
+}
+
+// The schema fragment and the check of one property
+function fieldRule(field, model) {
+  const { name } = field;
+
+  if (name === "power") {
+    return {
+      schema: {
+        description: 'false or "off" sends the off sequence',
+        anyOf: [{ type: "boolean" }, { enum: ["on", "off"] }],
+      },
+      check: (value) =>
+        typeof value === "boolean" || value === "on" || value === "off"
+          ? null
+          : problem("invalid_type", name, 'power must be true, false, "on" or "off"', { value }),
+    };
+  }
+
+  if (name === "temperature") {
+    const { minTemperature, maxTemperature, precision, setpointModes } = model.capabilities;
+    const range = `${minTemperature}..${maxTemperature}C in ${precision}C increments`;
+    return {
+      schema: {
+        description:
+          `Set temperature in C. A number in ${setpointModes.join(", ")} mode, ` +
+          "where the frame carries it; null is allowed in the others",
+        type: ["number", "null"],
+        minimum: minTemperature,
+        maximum: maxTemperature,
+        multipleOf: precision,
+      },
+      check(value) {
+        if (value === null) return null;
+        if (typeof value !== "number" || !Number.isFinite(value)) {
+          return problem("invalid_type", name, "temperature must be a number", { value });
+        }
+        const details = { value, expected: { minimum: minTemperature, maximum: maxTemperature } };
+        if (value < minTemperature || value > maxTemperature) {
+          const message = `Temperature must be ${range}, got ${value}`;
+          return problem("out_of_range", name, message, details);
+        }
+        if ((value / precision) % 1 !== 0) {
+          return problem("invalid_step", name, `Temperature must be ${range}, got ${value}`, {
+            value,
+            expected: { multipleOf: precision },
+          });
+        }
+        return null;
+      },
+    };
+  }
+
+  if (field.numeric) {
+    const maximum = field.maximum ?? 2 ** field.width - 1;
+    return {
+      schema: { type: "integer", minimum: 0, maximum },
+      check(value) {
+        if (!Number.isInteger(value)) {
+          return problem("invalid_type", name, `${name} must be an integer`, { value });
+        }
+        if (value < 0 || value > maximum) {
+          return problem("out_of_range", name, `Unsupported ${name}: ${value} (0..${maximum})`, {
+            value,
+            expected: { minimum: 0, maximum },
+          });
+        }
+        return null;
+      },
+    };
+  }
+
+  const names = field.values ? field.values.map(([value]) => value) : [];
+  if (names.length > 0 && names.some((value) => typeof value === "string")) {
+    return enumRule(name, names);
+  }
+
+  return {
+    schema: { type: "boolean" },
+    check: (value) =>
+      typeof value === "boolean"
+        ? null
+        : problem("invalid_type", name, `${name} must be true or false`, { value }),
+  };
+}
+
+function enumRule(name, values) {
+  return {
+    schema: { enum: values },
+    check: (value) =>
+      values.includes(value)
+        ? null
+        : problem("unsupported_value", name, `Unsupported ${name}: ${value}`, {
+            value,
+            expected: values,
+          }),
+  };
+}
+
+// Rules are built once per model
+const rulesByModel = new Map();
+
+function stateRules(model) {
+  if (rulesByModel.has(model.name)) return rulesByModel.get(model.name);
+
+  const rules = new Map();
+  for (const layout of model.layouts) {
+    for (const field of layout.fields) {
+      if (field.fixed == null && !rules.has(field.name)) {
+        rules.set(field.name, fieldRule(field, model));
+      }
+    }
+  }
+  rules.set("powerSavingMode", enumRule("powerSavingMode", model.capabilities.powerSavingModes));
+  rules.set("mold", {
+    schema: { description: `Not represented by ${model.protocol}`, const: false },
+    check: (value) =>
+      value === false
+        ? null
+        : problem("unsupported_field", "mold", `Mold is not represented by ${model.protocol}`, {
+            value,
+          }),
+  });
+  rulesByModel.set(model.name, rules);
+  return rules;
+}
+
+// A null temperature would encode the default setpoint, so the modes that
+// send one need a number
+function setpointRule(model) {
+  const { setpointModes } = model.capabilities;
+  const defaultMode = model.fields.find(({ name }) => name === "mode").default;
+  // `properties` also holds when mode is left out, which means the default mode
+  const condition = { properties: { mode: { enum: setpointModes } } };
+  if (!setpointModes.includes(defaultMode)) condition.required = ["mode"];
+
+  return {
+    schema: { if: condition, then: { properties: { temperature: { type: "number" } } } },
+    check(state) {
+      const mode = state.mode ?? defaultMode;
+      if (state.temperature !== null || !setpointModes.includes(mode)) return null;
+      const message = `temperature must be a number in ${mode} mode`;
+      return problem("invalid_type", "temperature", message, { value: null });
+    },
+  };
+}
+
+function stateSchema(model = defaultModel()) {
+  const properties = {};
+  for (const [name, { schema }] of stateRules(model)) properties[name] = schema;
+  return {
+    $schema: SCHEMA_DRAFT,
+    title: `${model.manufacturer} ${model.remote} state`,
+    description:
+      "State object accepted by the encoder. Missing fields take the model defaults.",
+    type: "object",
+    properties,
+    additionalProperties: false,
+    allOf: [setpointRule(model).schema],
+  };
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// The known field a misspelled one most likely meant
+function suggestField(name, known) {
+  const wanted = name.toLowerCase().replace(/[_-]/g, "");
+  let best = null;
+  for (const candidate of known) {
+    const distance = editDistance(wanted, candidate.toLowerCase());
+    if (distance <= 2 && (!best || distance < best.distance)) best = { candidate, distance };
+  }
+  return best ? best.candidate : null;
+}
+
+// Returns { valid, errors } with every problem of the state
+function validateState(state, model = defaultModel()) {
+  if (state === null || typeof state !== "object" || Array.isArray(state)) {
+    const error = problem("invalid_type", null, "State must be a JSON object", { value: state });
+    return { valid: false, errors: [error] };
+  }
+
+  const rules = stateRules(model);
+  const errors = [];
+  for (const [name, value] of Object.entries(state)) {
+    const rule = rules.get(name);
+    if (!rule) {
+      const suggestion = suggestField(name, rules.keys());
+      const hint = suggestion ? ` (did you mean ${suggestion}?)` : "";
+      const details = suggestion ? { suggestion } : {};
+      errors.push(problem("unknown_field", name, `Unknown field: ${name}${hint}`, details));
+      continue;
+    }
+    if (value === undefined) continue;
+    const error = rule.check(value);
+    if (error) errors.push(error);
+  }
+  const setpointError = setpointRule(model).check(state);
+  if (setpointError) errors.push(setpointError);
+  return { valid: errors.length === 0, errors };
+}
+
+function assertValidState(state, model = defaultModel()) {
+  const { errors } = validateState(state, model);
+  if (errors.length > 0) throw new StateValidationError(errors);
+  return state;
+}
+
+function main() {
+  const { modelFromArgs } = require("./daikin_models");
+  const { model, args } = modelFromArgs(process.argv.slice(2));
+  if (args.length === 0) {
+    console.log(JSON.stringify(stateSchema(model), null, 2));
+    return;
+  }
+
+  const { errors } = validateState(JSON.parse(args[0]), model);
+  for (const { path, code, message } of errors) console.log(`${path || "/"} ${code}: ${message}`);
+  if (errors.length > 0) process.exit(1);
+  console.log("State is valid");
+}
+
+module.exports = {
+  assertValidState,
+  stateSchema,
+  validateState,
+};
+
+// Run after exports so the codec, which requires this module, gets them from main()
+if (require.main === module) {
+  main();
+}
@@ -1,14 +1,106 @@
 const assert = require("assert");
+const { spawnSync } = require("child_process");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
 const {
   broadlinkBase64ToDurations,
+  captureToMicroseconds,
+  checksum,
   decodeBroadlinkBase64,
+  decodeBroadlinkPacket,
+  decodeCapture,
+  decodeFrame,
+  decodeFramesWithDiagnostics,
+  decodeMicroseconds,
+  decodeRawTimings,
   decodeStateFrame,
   encodeStateFrame,
+  framesForState,
+  framesToDurations,
+  framesToBroadlinkBase64,
+  parseBroadlinkPackets,
   stateToBroadlinkBase64,
+  stateToPronto,
+  BROADLINK_TICK_US,
+  STATE_FIELDS,
+  TOLERANCE,
 } = require("./daikin_arc480a48");
-const { generateCommands, flattenCommands } = require("./generate_daikin_arc480a48_states");
+const {
+  generateCommands,
+  flattenCommands,
+  readProvenCommands,
+  stateToMicroseconds,
+} = require("./generate_daikin_arc480a48_states");
+const { getModel, modelFromArgs } = require("./daikin_models");
+const { transformJSON } = require("./generator");
+const { auditCaptures } = require("./audit_captures");
+const { keyToState, parseCommandKey, stateToKey } = require("./command_key");
+const { identifyCapture } = require("./identify_capture");
+const { explainFrame } = require("./explain_frame");
+const { diffCaptures, formatDiff } = require("./diff_captures");
+const { analyzeBits, collectSamples } = require("./analyze_bits");
+const { durationsToPronto, prontoToDurations } = require("./pronto");
+const {
+  commandSignals,
+  decodeFlipperSignals,
+  parseFlipperIr,
+  selectCommands,
+  signalsToFlipperIr,
+} = require("./flipper_ir");
+const {
+  formatEsphomeYaml,
+  formatRawDataHeader,
+  selectSignals,
+  signedDurations,
+} = require("./esphome_export");
+const { calibrateTiming, loadTimingProfile, timingProfile } = require("./calibrate_timing");
+const { detectRawFormat, parseLogicCsv, parseMode2, parseRawTimings } = require("./raw_timings");
+const {
+  buildPacket,
+  connectRm,
+  createRmClient,
+  discover,
+  parsePacket,
+} = require("./broadlink_rm");
+const { startFakeDevice, trimPadding } = require("./fake_broadlink_device");
+const {
+  SKIP,
+  captureKeys,
+  checkCapture,
+  deviceSource,
+  lineSource,
+  runCaptureSession,
+} = require("./capture_session");
+const { createApiServer } = require("./http_api");
+const { connectMqtt, readPackets, publishPacket, topicMatches } = require("./mqtt_client");
+const { startMqttBroker } = require("./mqtt_broker");
+const { applyCommand, createClimateBridge, deviceState, discoveryConfig } = require("./mqtt_bridge");
+const {
+  applyUpdate,
+  createController,
+  defaultState,
+  parseCommand,
+} = require("./daikin_controller");
+const { createRemote, parseButtons } = require("./daikin_remote");
+const { createIndoorUnit, createUnitServer } = require("./indoor_unit");
+const { stateSchema, validateState } = require("./state_schema");
+const { DaikinError, StateValidationError, UnknownModelError } = require("./errors");
+const { buildBrowserBundle } = require("./build_browser");
+
+const STATE_LENGTH = 19;
+
+const PROVEN_PATH = path.join(__dirname, "assert", "9999.json");
+
+// The off command learned from the real remote (assert/9999.json "off")
+const PROVEN_OFF_FRAMES = [
+  [0x11, 0xda, 0x27, 0x00, 0xc5, 0x00, 0x00, 0xd7],
+  [0x11, 0xda, 0x27, 0x00, 0x42, 0x52, 0x33, 0xd9],
+  [
+    0x11, 0xda, 0x27, 0x00, 0x00, 0x68, 0x32, 0x00, 0xa0, 0x00, 0x00, 0x06,
+    0x60, 0x00, 0x00, 0xc1, 0x00, 0x00, 0x73,
+  ],
+];
 
 function hex(bytes) {
   return bytes.map((value) => value.toString(16).padStart(2, "0")).join(" ");
@@ -45,9 +137,61 @@ function hex(bytes) {
     econo: true,
     sensor: true,
     powerSavingMode: "econo_plus",
+    unknownBits: [],
   });
 }
 
+{
+  // The temperature scale and the decode timing come from the model
+  const base = getModel();
+  const fields = STATE_FIELDS.map((field) =>
+    field.name === "temperature" ? { ...field, scale: 1 } : field,
+  );
+  const timing = Object.fromEntries(
+    Object.entries(base.timing).map(([part, value]) => [
+      part,
+      part === "leaderBits" ? value : value * 2,
+    ]),
+  );
+  const model = {
+    ...base,
+    name: "test_whole_degrees",
+    timing,
+    fields,
+    layouts: base.layouts.map((layout) =>
+      layout.kind === "state" ? { ...layout, fields } : layout,
+    ),
+  };
+
+  const frame = encodeStateFrame({ mode: "cool", temperature: 24 }, model);
+  assert.strictEqual(frame[6], 24);
+  assert.strictEqual(decodeStateFrame(frame, model).temperature, 24);
+
+  const packet = stateToBroadlinkBase64({ mode: "cool", temperature: 24 }, model);
+  assert.deepStrictEqual(decodeCapture(packet, model).pop(), [...frame]);
+  assert.deepStrictEqual(decodeBroadlinkBase64(packet, model).pop(), [...frame]);
+  assert.deepStrictEqual(decodeCapture(packet), []);
+}
+
+{
+  const frame = encodeStateFrame({ mode: "cool", temperature: 24 });
+  frame[3] |= 0x40;
+  frame[15] ^= 0x01;
+  frame[STATE_LENGTH - 1] = checksum(frame);
+
+  assert.deepStrictEqual(decodeStateFrame(frame).unknownBits, [
+    { byte: 3, bit: 6 },
+    { byte: 15, bit: 0, field: "marker15" },
+  ]);
+}
+
+{
+  const decoded = decodeStateFrame(encodeStateFrame({ mode: "cool", temperature: 24 }));
+  for (const field of STATE_FIELDS) {
+    if (field.fixed == null) assert.ok(field.name in decoded, field.name);
+  }
+}
+
 {
   const base64 = stateToBroadlinkBase64({
     mode: "cool",
@@ -94,9 +238,88 @@ function hex(bytes) {
 }
 
 {
-  const provenPath = path.join(__dirname, "assert", "9999.json");
-  if (fs.existsSync(provenPath)) {
-    const proven = flattenCommands(JSON.parse(fs.readFileSync(provenPath, "utf8")).commands);
+  assert.deepStrictEqual(validateState({ mode: "cool", temperature: 24.5, fanMode: "night" }), {
+    valid: true,
+    errors: [],
+  });
+
+  // Every problem at once, each with a code and a path
+  const { valid, errors } = validateState({
+    mode: "heat",
+    fan_mode: "auto",
+    temperature: 40,
+    swing: "on",
+    powerSavingMode: "max",
+    mold: true,
+    colour: "red",
+  });
+  assert.strictEqual(valid, false);
+  assert.deepStrictEqual(
+    errors.map(({ code, path: pointer }) => [code, pointer]),
+    [
+      ["unsupported_value", "/mode"],
+      ["unknown_field", "/fan_mode"],
+      ["out_of_range", "/temperature"],
+      ["invalid_type", "/swing"],
+      ["unsupported_value", "/powerSavingMode"],
+      ["unsupported_field", "/mold"],
+      ["unknown_field", "/colour"],
+    ],
+  );
+  assert.deepStrictEqual(errors[0].expected, ["dry", "cool", "fan_only"]);
+  assert.strictEqual(errors[1].suggestion, "fanMode");
+  assert.strictEqual(errors[6].suggestion, undefined);
+  assert.strictEqual(validateState({ temperature: 24.25 }).errors[0].code, "invalid_step");
+  assert.strictEqual(validateState({ power: false, clock: 2880 }).errors[0].code, "out_of_range");
+  // The clock counts minutes since midnight, below what its 11 bits hold
+  assert.strictEqual(validateState({ power: false, clock: 2000 }).errors[0].code, "out_of_range");
+  assert.strictEqual(validateState({ power: false, clock: 1439 }).valid, true);
+  for (const mold of [0, "", null]) {
+    assert.strictEqual(validateState({ mold }).errors[0].code, "unsupported_field");
+  }
+  assert.strictEqual(validateState({ mold: false }).valid, true);
+  // Only modes without a setpoint take a null temperature
+  for (const state of [{ mode: "cool", temperature: null }, { temperature: null }]) {
+    assert.deepStrictEqual(
+      validateState(state).errors.map(({ code, path: pointer }) => [code, pointer]),
+      [["invalid_type", "/temperature"]],
+    );
+  }
+  assert.strictEqual(validateState({ mode: "fan_only", temperature: null }).valid, true);
+  assert.throws(() => encodeStateFrame({ mode: "cool", temperature: null }), StateValidationError);
+  assert.strictEqual(validateState([]).errors[0].path, "");
+
+  // The encoder rejects what validateState rejects, with the whole list
+  let thrown = null;
+  try {
+    stateToBroadlinkBase64({ fanmode: "auto", quiet: 1 });
+  } catch (error) {
+    thrown = error;
+  }
+  assert.ok(thrown instanceof StateValidationError);
+  assert.ok(thrown instanceof DaikinError);
+  assert.strictEqual(thrown.code, "invalid_state");
+  assert.deepStrictEqual(thrown.errors.map(({ field }) => field), ["fanmode", "quiet"]);
+  assert.match(thrown.message, /did you mean fanMode\?/);
+  assert.throws(() => getModel("arc000"), UnknownModelError);
+
+  // The published schema is the generated one and lists the same fields
+  const schema = stateSchema();
+  assert.deepStrictEqual(
+    JSON.parse(fs.readFileSync(path.join(__dirname, "arc480a48.state.schema.json"), "utf8")),
+    schema,
+  );
+  assert.strictEqual(schema.additionalProperties, false);
+  assert.deepStrictEqual(schema.properties.fanMode.enum, Object.keys(getModel().fans));
+  assert.strictEqual(schema.properties.temperature.multipleOf, 0.5);
+  for (const name of Object.keys(schema.properties)) {
+    assert.ok(!validateState({ [name]: undefined }).errors.length, name);
+  }
+}
+
+{
+  if (fs.existsSync(PROVEN_PATH)) {
+    const proven = flattenCommands(JSON.parse(fs.readFileSync(PROVEN_PATH, "utf8")).commands);
     const generated = generateCommands();
 
     for (const [key, command] of Object.entries(proven)) {
@@ -105,4 +328,1420 @@ function hex(bytes) {
   }
 }
 
-console.log("daikin_arc480a48 tests passed");
+{
+  const model = getModel("arc480a48");
+  assert.strictEqual(getModel("FTKC20TVM4"), model);
+  assert.throws(() => getModel("arc000"), /Unknown model: arc000/);
+
+  const { model: selected, args } = modelFromArgs(["encode", "--model", "ftkc20tvm4", "{}"]);
+  assert.strictEqual(selected, model);
+  assert.deepStrictEqual(args, ["encode", "{}"]);
+
+  const metadata = transformJSON({}, true, model);
+  assert.deepStrictEqual(metadata.supportedModels, ["ftkc20tvm4"]);
+  assert.strictEqual(metadata.maxTemperature, 32);
+  assert.strictEqual(metadata.fanModes.length, 14);
+  assert.strictEqual(metadata.swingModes.length, 9);
+}
+
+{
+  assert.deepStrictEqual(keyToState("cool-comfort_power_saving_plus-level2_quiet-24.5"), {
+    mode: "cool",
+    power: true,
+    temperature: 24.5,
+    fanMode: "level2",
+    quiet: true,
+    swing: false,
+    comfort: true,
+    powerSavingMode: "econo_plus",
+  });
+
+  for (const key of Object.keys(generateCommands())) {
+    assert.strictEqual(stateToKey(keyToState(key)), key);
+  }
+
+  assert.strictEqual(
+    stateToKey({ mode: "fan_only", swing: false, fanMode: "night", temperature: 20 }),
+    "fan_only-off-night-20",
+  );
+  assert.throws(() => parseCommandKey("cool-on-auto-quiet-16"), /Invalid key format/);
+  assert.throws(() => parseCommandKey("cool-on-auto-16.0"), /Unsupported temperature/);
+  assert.throws(() => parseCommandKey("cool-on-auto-33"), /Unsupported temperature/);
+  assert.throws(() => parseCommandKey("heat-on-auto-24"), /Unsupported operatingMode/);
+  assert.throws(() => stateToKey({ mode: "cool", fanMode: "turbo" }), /Unsupported fanMode/);
+}
+
+{
+  const cool24 = stateToBroadlinkBase64({ mode: "cool", temperature: 24, fanMode: "auto" });
+  const result = auditCaptures([
+    { key: "cool-on-auto-24", value: cool24, source: "a.json" },
+    { key: "cool-on-auto-24.5", value: cool24, source: "a.json" },
+    { key: "off", value: cool24, source: "a.json" },
+    { key: "cool-sideways-auto-24", value: cool24, source: "a.json" },
+  ]);
+
+  assert.strictEqual(result.checked, 4);
+  assert.deepStrictEqual(
+    result.issues.map((issue) => [issue.type, issue.key]),
+    [
+      ["mismatch", "cool-on-auto-24.5"],
+      ["frameCount", "off"],
+      ["invalidKey", "cool-sideways-auto-24"],
+      ["duplicate", "cool-on-auto-24"],
+    ],
+  );
+  assert.deepStrictEqual(result.issues[0].fields, [
+    { field: "temperature", expected: 24.5, actual: 24 },
+  ]);
+  assert.deepStrictEqual(result.overrides, []);
+
+  // A real comfort + night capture matches its key; the encoder only sends auto
+  if (fs.existsSync(PROVEN_PATH)) {
+    const key = "cool-comfort-night_quiet-16";
+    const proven = auditCaptures([{ key, value: readProvenCommands()[key], source: "9999.json" }]);
+    assert.deepStrictEqual(proven.issues, []);
+    assert.deepStrictEqual(
+      proven.overrides.map(({ type, fields }) => [type, fields]),
+      [["override", [{ field: "fanMode", expected: "auto", actual: "night" }]]],
+    );
+  }
+}
+
+{
+  const commands = {
+    "cool-on-level3-25": stateToBroadlinkBase64(keyToState("cool-on-level3-25")),
+    "cool-off-level3-25": stateToBroadlinkBase64(keyToState("cool-off-level3-25")),
+  };
+
+  const identical = identifyCapture(commands["cool-on-level3-25"], undefined, commands);
+  assert.strictEqual(identical.match, "identical");
+  assert.deepStrictEqual(identical.keys, ["cool-on-level3-25"]);
+
+  const powerful = stateToBroadlinkBase64({
+    mode: "cool",
+    temperature: 25,
+    fanMode: "level3",
+    swing: false,
+    powerful: true,
+  });
+  const closest = identifyCapture(powerful, undefined, commands);
+  assert.strictEqual(closest.match, "closest");
+  assert.deepStrictEqual(closest.keys, ["cool-off-level3-25"]);
+  assert.deepStrictEqual(closest.differences[0].fields, [
+    { field: "powerful", actual: true, expected: false },
+  ]);
+  assert.deepStrictEqual(
+    closest.unexpressed.map(({ field, value }) => [field, value]),
+    [["powerful", true]],
+  );
+
+  const frame = encodeStateFrame(keyToState("cool-on-level3-25"));
+  frame[3] = 0x01;
+  frame[STATE_LENGTH - 1] = checksum(frame);
+  const semantic = identifyCapture(framesToBroadlinkBase64([frame]), undefined, commands);
+  assert.strictEqual(semantic.match, "semantic");
+  assert.deepStrictEqual(semantic.keys, ["cool-on-level3-25"]);
+  assert.strictEqual(semantic.unexpressed[0].field, "unknown");
+}
+
+{
+  const preamble = explainFrame(PROVEN_OFF_FRAMES[0]).split("\n");
+  assert.strictEqual(preamble[0], "Frame · 8 bytes · preamble");
+  assert.match(preamble[6], /^ {3} +4 {2}c5 {3}10100011 +b0-7 marker4=0xc5$/);
+  assert.match(preamble[10], /= 0x1d7 -> 0xd7; byte 7 = 0xd7 \(valid\)$/);
+
+  const state = explainFrame(encodeStateFrame({ mode: "cool", temperature: 24.5 })).split("\n");
+  assert.match(state[7], /^ {6}5 {2}31 {3}10001100 .*b0 power=true \(0x1\); b4-6 mode=cool \(0x3\)$/);
+  assert.ok(state.every((line) => !line.startsWith(" ! ")));
+}
+
+{
+  const a = encodeStateFrame({ mode: "cool", temperature: 24, fanMode: "auto" });
+  const b = encodeStateFrame({ mode: "cool", temperature: 24, fanMode: "auto", quiet: true });
+  b[4] = 0x02;
+  b[STATE_LENGTH - 1] = checksum(b);
+
+  const diff = diffCaptures(framesToBroadlinkBase64([a]), framesToBroadlinkBase64([b]));
+  assert.deepStrictEqual(diff.frameCounts, [1, 1]);
+  assert.deepStrictEqual(diff.frames[0].fields, [{ field: "quiet", a: false, b: true }]);
+  assert.deepStrictEqual(
+    diff.frames[0].bits.filter(({ field }) => field !== "checksum"),
+    [
+      { byte: 4, bit: 1, a: 0, b: 1, field: null },
+      { byte: 13, bit: 5, a: 0, b: 1, field: "quiet" },
+    ],
+  );
+  assert.ok(diff.timing.changed > 0);
+  assert.match(formatDiff(diff), /byte {2}4 bit 1: 0 -> 1 {2}UNKNOWN \(outside layout\)/);
+
+  const off = stateToBroadlinkBase64({ power: false });
+  assert.deepStrictEqual(diffCaptures(off, off).timing.changed, 0);
+  assert.deepStrictEqual(
+    diffCaptures(off, off).frames.map(({ bits }) => bits.length),
+    [0, 0, 0],
+  );
+
+  // Keys of SmartIR files are looked up in the flattened commands block
+  if (fs.existsSync(PROVEN_PATH)) {
+    const [keyA, keyB] = Object.keys(readProvenCommands()).filter((key) => key !== "off");
+    const cli = spawnSync(
+      process.execPath,
+      [path.join(__dirname, "daikin_arc480a48.js"), "diff", PROVEN_PATH, keyA, keyB],
+      { encoding: "utf8" },
+    );
+    assert.strictEqual(cli.status, 0, cli.stderr);
+    assert.match(cli.stdout, /field temperature: 16 -> 17/);
+  }
+}
+
+{
+  const keys = [
+    "cool-on-auto-24",
+    "cool-on-auto_quiet-24",
+    "cool-off-level3-25",
+    "cool-off-level3_quiet-25",
+    "cool-off-auto-25",
+    "cool-on-auto-24",
+  ];
+  const captures = keys.map((key, index) => {
+    const frame = encodeStateFrame(keyToState(key));
+    if (index === 1 || index === 5) frame[4] |= 0x01;
+    frame[STATE_LENGTH - 1] = checksum(frame);
+    return { key, value: framesToBroadlinkBase64([frame]), source: "a.json" };
+  });
+
+  const { samples, skipped } = collectSamples(captures);
+  assert.strictEqual(samples.length, 6);
+  assert.deepStrictEqual(skipped, []);
+
+  const bits = analyzeBits(samples);
+  const at = (byte, bit) => bits[byte * 8 + bit];
+  assert.strictEqual(at(0, 0).kind, "constant");
+  assert.deepStrictEqual(at(13, 5).labels, ["quiet"]);
+  assert.deepStrictEqual(at(8, 0).labels, ["swing"]);
+  assert.deepStrictEqual(at(8, 4).labels, ["fanMode"]);
+  assert.strictEqual(at(4, 0).kind, "unexplained");
+  assert.strictEqual(at(4, 0).field, null);
+  assert.strictEqual(at(STATE_LENGTH - 1, 0).kind, "checksum");
+
+  // One mislabeled capture in a hundred still leaves the bit explained; the
+  // off command's frames are not state samples
+  const noisy = [];
+  for (let index = 0; index < 100; index += 1) {
+    const key = index % 2 === 0 ? "cool-on-auto-24" : "cool-on-auto_quiet-24";
+    const state = keyToState(index === 7 ? "cool-on-auto-24" : key);
+    noisy.push({ key, value: stateToBroadlinkBase64(state), source: "a.json" });
+  }
+  noisy.push({ key: "off", value: stateToBroadlinkBase64({ power: false }), source: "a.json" });
+  const collected = collectSamples(noisy);
+  assert.strictEqual(collected.samples.length, 100);
+  assert.deepStrictEqual(collected.skipped.map(({ key }) => key), ["off"]);
+  const quiet = analyzeBits(collected.samples)[13 * 8 + 5];
+  assert.strictEqual(quiet.kind, "explained");
+  assert.deepStrictEqual(quiet.labels, ["quiet"]);
+  assert.strictEqual(quiet.mismatches, 1);
+  assert.strictEqual(quiet.agreement, 0.99);
+}
+
+{
+  assert.strictEqual(durationsToPronto([1000, 500, 263]), "0000 006D 0002 0000 0026 0013 000A 0001");
+
+  const { frequency, durations } = prontoToDurations("0000 006D 0001 0000 0026 0013");
+  assert.strictEqual(frequency, 38029);
+  assert.deepStrictEqual(durations.map(Math.round), [999, 500]);
+  assert.throws(() => prontoToDurations("0100 006D 0001 0000 0026 0013"), /only learned 0000/);
+  assert.throws(() => prontoToDurations("0000 006D 0002 0000 0026 0013"), /expected 8/);
+  assert.throws(() => prontoToDurations("0000 006D"), /2 words, too few for the header/);
+
+  const state = { mode: "cool", temperature: 24.5, fanMode: "level2", quiet: true };
+  const pronto = stateToPronto(state);
+  assert.match(pronto, /^0000 006D 00A0 0000 /);
+  assert.deepStrictEqual(decodeCapture(pronto), [encodeStateFrame(state)]);
+  assert.deepStrictEqual(
+    decodeCapture(stateToPronto({ power: false })),
+    decodeCapture(stateToBroadlinkBase64({ power: false })),
+  );
+}
+
+{
+  const model = getModel("arc480a48");
+  const commands = selectCommands(model, {
+    match: "^cool-on-auto-2[45]$",
+    states: [{ power: false }],
+  });
+  assert.deepStrictEqual(Object.keys(commands), ["cool-on-auto-24", "cool-on-auto-25", "off"]);
+
+  const text = signalsToFlipperIr(commandSignals(commands, model));
+  assert.match(text, /^Filetype: IR signals file\nVersion: 1\n#\nname: cool-on-auto-24\ntype: raw\n/);
+  assert.match(text, /frequency: 38000\nduty_cycle: 0.330000\ndata: \d+ \d+/);
+
+  const signals = parseFlipperIr(text);
+  assert.deepStrictEqual(
+    signals.map(({ name, frequency }) => [name, frequency]),
+    [
+      ["cool-on-auto-24", 38000],
+      ["cool-on-auto-25", 38000],
+      ["off", 38000],
+    ],
+  );
+  for (const [index, key] of Object.keys(commands).entries()) {
+    assert.deepStrictEqual(
+      decodeFlipperSignals([signals[index]], model)[0].frames.map(({ bytes }) => bytes),
+      decodeMicroseconds(commands[key]).map(hex),
+    );
+  }
+
+  const learned = "Filetype: IR signals file\nVersion: 1\n#\nname: Power\ntype: parsed\nprotocol: NEC\n";
+  assert.deepStrictEqual(decodeFlipperSignals(parseFlipperIr(learned), model), [
+    { name: "Power", error: "Unsupported signal type: parsed" },
+  ]);
+  assert.throws(() => parseFlipperIr("name: x"), /Not a Flipper IR file/);
+}
+
+{
+  const model = getModel("arc480a48");
+  assert.deepStrictEqual(signedDurations([460, 1379, 460]), [460, -1379, 460]);
+
+  const signals = selectSignals(model, {
+    match: "^cool-on-auto-24\\.5$",
+    states: [{ power: false }],
+  });
+  assert.deepStrictEqual(
+    signals.map(({ name }) => name),
+    ["cool-on-auto-24.5", "off"],
+  );
+  assert.ok(signals[0].durations.every(Number.isInteger));
+  assert.deepStrictEqual(
+    stateToMicroseconds({ mode: "cool", temperature: 24.5 }, model).slice(11, 15),
+    [26696, 3678, 1839, 460],
+  );
+  assert.deepStrictEqual(decodeMicroseconds(signals[0].durations), [
+    encodeStateFrame({ mode: "cool", temperature: 24.5 }),
+  ]);
+  assert.strictEqual(selectSignals(model).length, Object.keys(generateCommands(model)).length);
+
+  // Both exports share one source: the same keys, and durations from the
+  // model timing, with the learned frames for proven keys
+  for (const options of [{}, { match: "^dry-", states: [{ power: false }] }]) {
+    assert.deepStrictEqual(
+      Object.keys(selectCommands(model, options)),
+      selectSignals(model, options).map(({ name }) => name),
+    );
+  }
+  const flipper = commandSignals(selectCommands(model, { match: "^cool-on-auto-24\\.5$" }), model);
+  assert.deepStrictEqual(flipper[0].durations, signals[0].durations);
+  const [off] = selectSignals(model, { states: [{ power: false }] });
+  assert.deepStrictEqual(selectCommands(model, { states: [{ power: false }] }).off, off.durations);
+  assert.deepStrictEqual(off.durations, framesToDurations(PROVEN_OFF_FRAMES).map(Math.round));
+  if (fs.existsSync(PROVEN_PATH)) {
+    // Rebuilt from the learned frames, without the capture's Broadlink ticks
+    const learned = readProvenCommands()["cool-on-auto-24.5"];
+    const rebuilt = decodeMicroseconds(signals[0].durations);
+    assert.deepStrictEqual(rebuilt, decodeBroadlinkBase64(learned));
+    assert.ok(signals[0].durations.every((micros) => micros === 460 || micros > 1000));
+  }
+
+  const yaml = formatEsphomeYaml(signals, model);
+  assert.match(yaml, /^# Daikin ARC480A48 \(IRDaikin152\) raw codes\nscript:\n/);
+  assert.match(
+    yaml,
+    /  - id: arc480a48_cool_on_auto_24_5\n {4}then:\n {6}- remote_transmitter\.transmit_raw:\n {10}carrier_frequency: 38kHz\n {10}code: \[460, -460, /,
+  );
+
+  const header = formatRawDataHeader(signals, model);
+  const { length } = signals[1].durations;
+  assert.match(
+    header,
+    new RegExp(`const uint16_t rawData_off\\[${length}\\] = \\{460, 460, 460, `),
+  );
+}
+
+{
+  const state = { mode: "cool", temperature: 22, fanMode: "level3", swing: false };
+  const frames = [encodeStateFrame(state)];
+  const micros = framesToDurations(frames).map(Math.round);
+
+  const dump = [
+    "Protocol  : DAIKIN152",
+    `uint16_t rawData[${micros.length}] = {${micros.join(", ")}};  // DAIKIN152`,
+    "uint8_t state[19] = {0x11, 0xDA};",
+  ].join("\n");
+  assert.strictEqual(detectRawFormat(dump), "irrecvdump");
+  assert.deepStrictEqual(decodeRawTimings(dump), frames);
+
+  const rawTiming = `Raw Timing[${micros.length}]:\n${micros
+    .map((value, index) => `${index % 2 ? "-" : "+"}${String(value).padStart(5)}`)
+    .join(", ")}\n\n`;
+  assert.deepStrictEqual(parseRawTimings(rawTiming).durations, micros);
+  assert.throws(() => parseRawTimings("uint16_t rawData[3] = {1, 2};"), /declares 3/);
+
+  const mode2 = [
+    "Using driver default on device /dev/lirc0",
+    "space 16777215",
+    ...micros.map((value, index) => `${index % 2 ? "space" : "pulse"} ${value}`),
+    "space 40000",
+    "timeout 125000",
+    "pulse 500",
+  ].join("\n");
+  assert.strictEqual(detectRawFormat(mode2), "mode2");
+  assert.deepStrictEqual(parseMode2(mode2), micros);
+  assert.deepStrictEqual(parseMode2("pulse 100\npulse 50\nspace 20\nspace 30\npulse 10"), [150, 50, 10]);
+
+  // Saleae: transitions only, seconds, idle high
+  let time = 0.001;
+  const saleae = ["Time [s],Channel 0", "0.000000000,1"];
+  micros.forEach((value, index) => {
+    saleae.push(`${time.toFixed(9)},${index % 2}`);
+    time += value / 1e6;
+  });
+  saleae.push(`${time.toFixed(9)},1`);
+  assert.strictEqual(detectRawFormat(saleae.join("\n")), "csv");
+  assert.deepStrictEqual(decodeRawTimings(saleae.join("\n")), frames);
+
+  // sigrok: every sample, an active-high line and a comment header
+  const sigrok = [
+    "; Channels (2/8): IR, D1",
+    "Time [us],IR,D1",
+    ...[0, 1, 1, 0, 1, 0, 0].map((level, index) => `${index * 10},${level},${index % 2}`),
+  ].join("\n");
+  assert.deepStrictEqual(parseLogicCsv(sigrok, { channel: "IR", activeLow: false }), [20, 10, 10]);
+  assert.deepStrictEqual(parseLogicCsv(sigrok, { channel: "IR" }), [10]);
+  assert.throws(() => parseLogicCsv("IR\n0\n1"), /time column/);
+  assert.throws(() => parseRawTimings("hello"), /Unrecognized raw timing format/);
+
+  // The CLI picks the channel and polarity and decodes the microseconds as logged
+  const jittered = micros.map((value, index) => value + (index % 2 ? -7 : 7));
+  const csv = ["Time [us],D0,IR", "0,0,0"];
+  let edge = 1000;
+  jittered.forEach((value, index) => {
+    csv.push(`${edge},0,${1 - (index % 2)}`);
+    edge += value;
+  });
+  csv.push(`${edge},0,0`);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "daikin-raw-"));
+  try {
+    const file = path.join(dir, "sigrok.csv");
+    fs.writeFileSync(file, csv.join("\n"));
+    const run = (...args) =>
+      spawnSync(process.execPath, [path.join(__dirname, "daikin_arc480a48.js"), ...args], {
+        encoding: "utf8",
+      });
+    const decoded = run("decode", file, "--channel", "IR", "--active-high", "--diagnostics");
+    assert.strictEqual(decoded.status, 0, decoded.stderr);
+    assert.deepStrictEqual(
+      JSON.parse(decoded.stdout),
+      JSON.parse(
+        JSON.stringify(
+          decodeFramesWithDiagnostics(jittered).map((frame) => ({
+            ...frame,
+            bytes: hex(frame.bytes),
+          })),
+        ),
+      ),
+    );
+    assert.match(run("decode", file, "--active-high").stderr, /No marks found in CSV/);
+    const inverted = run("decode", file, "--channel", "IR", "--diagnostics");
+    assert.notStrictEqual(inverted.stdout, decoded.stdout);
+    const packet = run("decode", file, "--channel", "IR", "--active-high", "--packet");
+    assert.match(packet.stderr, /--packet needs a Broadlink code/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+{
+  const state = { mode: "cool", temperature: 23, fanMode: "auto", quiet: true };
+  const frame = encodeStateFrame(state);
+  const micros = framesToDurations([frame]);
+
+  const [clean] = decodeFramesWithDiagnostics(micros);
+  assert.deepStrictEqual(clean.bytes, frame);
+  assert.strictEqual(clean.diagnostics.confidence, 1);
+  assert.strictEqual(clean.diagnostics.bits, STATE_LENGTH * 8);
+  assert.strictEqual(clean.diagnostics.rejected, null);
+
+  // Receiver jitter inside the band still decodes, and is measured
+  const jittered = micros.map((value, index) => value + (index % 3 === 0 ? 90 : -60));
+  const [noisy] = decodeFramesWithDiagnostics(jittered);
+  assert.deepStrictEqual(noisy.bytes, frame);
+  assert.strictEqual(noisy.diagnostics.jitter.mark.max, 90);
+  assert.ok(noisy.diagnostics.confidence < 1);
+  assert.deepStrictEqual(decodeMicroseconds(jittered), [frame]);
+
+  // A late edge stretches one pulse and shortens its neighbor by as much
+  const shifted = micros.slice();
+  shifted[40] += 250;
+  shifted[41] -= 250;
+  const [late] = decodeFramesWithDiagnostics(shifted);
+  assert.deepStrictEqual(late.bytes, frame);
+  assert.deepStrictEqual(late.diagnostics.outOfTolerance, []);
+  assert.deepStrictEqual(
+    late.diagnostics.shiftedEdges.map(({ index }) => index),
+    [40, 41],
+  );
+
+  const spike = micros.slice();
+  spike[40] = 1100;
+  const [rejected] = decodeFramesWithDiagnostics(spike);
+  assert.deepStrictEqual(rejected.diagnostics.outOfTolerance, [
+    { index: 40, kind: "mark", micros: 1100, expected: 460 },
+  ]);
+  assert.throws(() => decodeMicroseconds(spike), /Frame 1 rejected: 1 pulse\(s\) outside tolerance/);
+
+  const truncated = micros.slice(0, -7);
+  assert.strictEqual(decodeFramesWithDiagnostics(truncated)[0].diagnostics.leftoverBits, 5);
+  assert.throws(() => decodeMicroseconds(truncated), /5 leftover bit\(s\) after 18 byte\(s\)/);
+
+  // The real remote's off command: three frames, each after a long space
+  if (fs.existsSync(PROVEN_PATH)) {
+    const { off } = flattenCommands(JSON.parse(fs.readFileSync(PROVEN_PATH, "utf8")).commands);
+    const frames = decodeFramesWithDiagnostics(captureToMicroseconds(off));
+    assert.deepStrictEqual(
+      frames.map(({ diagnostics }) => diagnostics.rejected),
+      [null, null, null],
+    );
+    assert.deepStrictEqual(frames.map(({ bytes }) => bytes), PROVEN_OFF_FRAMES);
+  }
+}
+
+{
+  const model = getModel("arc480a48");
+  const timing = {
+    ...model.timing,
+    headerMark: 3500,
+    oneSpace: 1300,
+    gap: 30000,
+    frameSpace: 40000,
+  };
+  const captures = [
+    { key: "cool-on-auto-24", value: stateToBroadlinkBase64({ temperature: 24 }, model, timing) },
+    { key: "off", value: stateToBroadlinkBase64({ power: false }, model, timing) },
+    { key: "bad", value: stateToBroadlinkBase64({ temperature: 25 }, model, { ...timing, bitMark: 900 }) },
+  ];
+
+  const calibration = calibrateTiming(captures, model);
+  assert.strictEqual(calibration.frames, 4);
+  assert.deepStrictEqual(calibration.skipped.map(({ key }) => key), ["bad"]);
+  assert.strictEqual(calibration.parts.gap.count, 2);
+  assert.strictEqual(calibration.parts.frameSpace.count, 2);
+  // The trailer is measured, but Broadlink's fixed terminator stays out of profiles
+  assert.strictEqual(calibration.parts.trailerSpace.count, 2);
+  assert.strictEqual(calibration.parts.trailerSpace.median, Math.round(timing.trailerSpace));
+  // Broadlink rounds every pulse to whole ticks
+  for (const part of ["headerMark", "oneSpace", "gap", "frameSpace"]) {
+    assert.ok(Math.abs(calibration.parts[part].median - timing[part]) <= BROADLINK_TICK_US / 2);
+    assert.strictEqual(calibration.parts[part].timing, Math.round(model.timing[part]));
+  }
+
+  const profile = timingProfile(calibration, model);
+  assert.strictEqual(profile.model, "arc480a48");
+  assert.strictEqual(profile.timing.leaderBits, model.timing.leaderBits);
+  assert.strictEqual(profile.timing.trailerSpace, undefined);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "daikin-timing-"));
+  try {
+    const file = path.join(dir, "profile.json");
+    fs.writeFileSync(file, JSON.stringify(profile));
+    const loaded = loadTimingProfile(file, model);
+    assert.strictEqual(loaded.headerMark, calibration.parts.headerMark.median);
+    assert.deepStrictEqual(
+      decodeBroadlinkBase64(stateToBroadlinkBase64({ temperature: 24 }, model, loaded)),
+      [encodeStateFrame({ temperature: 24 })],
+    );
+
+    // Without --write every argument is a source
+    const sources = path.join(dir, "captures.json");
+    const learned = captures.slice(0, 2).map(({ key, value }) => [key, value]);
+    fs.writeFileSync(sources, JSON.stringify(Object.fromEntries(learned)));
+    const run = (...args) =>
+      spawnSync(process.execPath, [path.join(__dirname, "calibrate_timing.js"), ...args], {
+        encoding: "utf8",
+      });
+    const cli = run(sources, "--json");
+    assert.strictEqual(cli.status, 0, cli.stderr);
+    assert.strictEqual(JSON.parse(cli.stdout).captures, 2);
+    assert.strictEqual(JSON.parse(cli.stdout).frames, 4);
+    const written = path.join(dir, "result", "timing.json");
+    assert.strictEqual(run(sources, "--write", written).status, 0);
+    assert.deepStrictEqual(loadTimingProfile(written, model), loadTimingProfile(file, model));
+    const missing = run(path.join(dir, "missing.json"));
+    assert.strictEqual(missing.status, 1);
+    assert.match(missing.stderr, /Source does not exist/);
+
+    fs.writeFileSync(file, JSON.stringify({ model: "other", timing: {} }));
+    assert.throws(() => loadTimingProfile(file, model), /for model other/);
+    fs.writeFileSync(file, JSON.stringify({ timing: { bitMark: -1 } }));
+    assert.throws(() => loadTimingProfile(file, model), /Invalid timing profile value for bitMark/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+{
+  assert.deepStrictEqual(framesForState({ power: false }), PROVEN_OFF_FRAMES);
+  assert.deepStrictEqual(framesForState(keyToState("off")), PROVEN_OFF_FRAMES);
+
+  const [preamble, clock, off] = PROVEN_OFF_FRAMES.map((bytes) => decodeFrame(bytes));
+  assert.strictEqual(preamble.kind, "preamble");
+  assert.deepStrictEqual(preamble.checksum, { expected: 0xd7, actual: 0xd7, valid: true });
+  assert.deepStrictEqual(preamble.unknownBits, []);
+  assert.strictEqual(clock.kind, "clock");
+  assert.strictEqual(clock.clock, 14 * 60 + 10);
+  assert.strictEqual(clock.weekday, 6);
+  assert.strictEqual(off.kind, "off");
+  assert.strictEqual(off.power, false);
+  assert.strictEqual(off.mode, "fan_only");
+  assert.strictEqual(off.fanMode, "auto");
+  assert.strictEqual(off.swing, false);
+  assert.deepStrictEqual(off.unknownBits, []);
+  assert.strictEqual(decodeFrame(encodeStateFrame({ mode: "cool" })).kind, "state");
+
+  // The off frame keeps the state the unit is switched off in
+  const dryOff = framesForState({ power: false, mode: "dry", fanMode: "level3", clock: 420 });
+  assert.deepStrictEqual(dryOff[0], PROVEN_OFF_FRAMES[0]);
+  assert.strictEqual(decodeFrame(dryOff[1]).clock, 420);
+  assert.strictEqual(decodeFrame(dryOff[1]).checksum.valid, true);
+  const dryOffState = decodeFrame(dryOff[2]);
+  assert.strictEqual(dryOffState.kind, "off");
+  assert.strictEqual(dryOffState.mode, "dry");
+  assert.strictEqual(dryOffState.fanMode, "level3");
+  assert.strictEqual(dryOffState.power, false);
+  assert.strictEqual(dryOffState.checksum.valid, true);
+  assert.deepStrictEqual(dryOffState.unknownBits, []);
+  assert.strictEqual(
+    decodeFrame(framesForState({ power: false, mode: "cool", temperature: 22.5 })[2]).temperature,
+    22.5,
+  );
+  assert.throws(() => framesForState({ power: false, clock: 1440 * 2 }), /Unsupported clock/);
+
+  // The encoded off command matches the learned one pulse for pulse, not just
+  // in its bytes: one leader, then a frame space between the frames
+  const proven = readProvenCommands();
+  if (proven.off) {
+    const learned = captureToMicroseconds(proven.off);
+    const encoded = captureToMicroseconds(stateToBroadlinkBase64({ power: false }));
+    assert.strictEqual(encoded.length, learned.length);
+    learned.forEach((micros, index) => {
+      const band = Math.max(micros * TOLERANCE.ratio, TOLERANCE.minimumUs);
+      assert.ok(Math.abs(encoded[index] - micros) <= band, `duration ${index}`);
+    });
+  }
+
+  // A corrupted marker falls back to the first layout of that length
+  const broken = PROVEN_OFF_FRAMES[0].slice();
+  broken[4] = 0x44;
+  broken[7] = checksum(broken);
+  assert.deepStrictEqual(
+    decodeFrame(broken).unknownBits.filter(({ field }) => field === "marker4").length,
+    2,
+  );
+}
+
+{
+  const frame = encodeStateFrame({ mode: "cool", temperature: 21 });
+  const single = framesToBroadlinkBase64([frame]);
+  const [packet] = parseBroadlinkPackets(single);
+  assert.strictEqual(packet.type, "ir");
+  assert.strictEqual(packet.repeat, 0);
+  assert.strictEqual(packet.trailer, 0x0d05);
+  assert.ok(Buffer.from(single, "base64").subarray(-3).equals(Buffer.from([0x00, 0x0d, 0x05])));
+
+  const stubborn = framesToBroadlinkBase64([frame], undefined, { repeat: 3, transmissions: 2 });
+  assert.strictEqual(Buffer.from(stubborn, "base64")[1], 3);
+  const decoded = decodeBroadlinkPacket(stubborn);
+  assert.strictEqual(decoded.packets[0].repeat, 3);
+  assert.strictEqual(decoded.transmissions.length, 2);
+  assert.strictEqual(decoded.identical, true);
+  assert.deepStrictEqual(decodeBroadlinkBase64(stubborn), [frame]);
+  assert.throws(() => framesToBroadlinkBase64([frame], undefined, { repeat: 256 }), /0\.\.255/);
+  assert.throws(() => framesToBroadlinkBase64([frame], undefined, { transmissions: 0 }), /positive/);
+
+  // Learned codes: zero padding, back-to-back packets, differing transmissions
+  const padded = Buffer.concat([Buffer.from(single, "base64"), Buffer.alloc(12)]);
+  assert.deepStrictEqual(decodeBroadlinkBase64(padded.toString("base64")), [frame]);
+  assert.deepStrictEqual(
+    broadlinkBase64ToDurations(padded.toString("base64")),
+    broadlinkBase64ToDurations(single),
+  );
+
+  const other = encodeStateFrame({ mode: "cool", temperature: 22 });
+  const joined = Buffer.concat([
+    Buffer.from(single, "base64"),
+    Buffer.from(framesToBroadlinkBase64([other]), "base64"),
+  ]).toString("base64");
+  const pair = decodeBroadlinkPacket(joined);
+  assert.strictEqual(pair.packets.length, 2);
+  assert.strictEqual(pair.identical, false);
+  assert.deepStrictEqual(decodeBroadlinkBase64(joined), [frame, other]);
+
+  const bare = Buffer.from([0x26, 0x00, 0x05, 0x00, 0x0e, 0x0e, 0x0e, 0x0d, 0x05]);
+  assert.deepStrictEqual(parseBroadlinkPackets(bare.toString("base64"))[0].durations, [14, 14, 14]);
+
+  const rf = Buffer.from([0xb2, 0x01, 0x04, 0x00, 0x0a, 0x14, 0x0a, 0x00]).toString("base64");
+  assert.deepStrictEqual(parseBroadlinkPackets(rf), [
+    { type: "rf433", repeat: 1, durations: [10, 20, 10], trailer: null },
+  ]);
+  assert.throws(() => broadlinkBase64ToDurations(rf), /rf433 packet holds RF timings/);
+  assert.throws(() => parseBroadlinkPackets(Buffer.from([0x26, 0, 9, 0, 1]).toString("base64")), /declares 9 bytes/);
+}
+
+{
+  const key = Buffer.alloc(16, 7);
+  const payload = Buffer.from([1, 2, 3, 4, 5]);
+  const packet = buildPacket({
+    type: 0x6a,
+    devtype: 0x2737,
+    count: 0x8001,
+    mac: "34:ea:34:00:00:01",
+    id: 9,
+    payload,
+    key,
+  });
+  assert.strictEqual(packet.length, 0x38 + 16);
+  const parsed = parsePacket(packet, key);
+  assert.strictEqual(parsed.mac, "34:ea:34:00:00:01");
+  assert.strictEqual(parsed.id, 9);
+  assert.ok(parsed.payload.subarray(0, 5).equals(payload));
+  packet[0x40] ^= 1;
+  assert.throws(() => parsePacket(packet, key), /checksum mismatch/);
+
+  const code = Buffer.from(stateToBroadlinkBase64({ mode: "cool", temperature: 22 }), "base64");
+  assert.ok(trimPadding(Buffer.concat([code, Buffer.alloc(9)])).equals(code));
+}
+
+{
+  const controller = createController({ state: { mode: "cool", fanMode: "level3", quiet: true } });
+  assert.strictEqual(controller.state.temperature, 24);
+
+  let result = controller.update({ temperature: "+0.5" });
+  assert.strictEqual(result.state.temperature, 24.5);
+  assert.deepStrictEqual(result.changed, [{ field: "temperature", from: 24, to: 24.5 }]);
+  assert.deepStrictEqual(result.sideEffects, []);
+  assert.strictEqual(result.packet, stateToBroadlinkBase64(result.state));
+  assert.strictEqual(controller.update({ temperature: { by: 20 } }).state.temperature, 32);
+  assert.strictEqual(controller.command("temperature -0.25").state.temperature, 32);
+  assert.strictEqual(controller.update({ temperature: 21 }).state.temperature, 21);
+  assert.throws(() => controller.update({ temperature: 21.3 }), /Unsupported temperature/);
+  assert.throws(() => controller.update({ mode: "heat" }), /Unsupported mode/);
+  assert.strictEqual(controller.state.temperature, 21);
+
+  // Powerful clears quiet and says why; asking for quiet again clears powerful
+  result = controller.command("powerful true");
+  assert.deepStrictEqual(result.sideEffects, [
+    {
+      field: "quiet",
+      from: true,
+      to: false,
+      rule: "powerful-quiet",
+      cause: "powerful",
+      reason: "Powerful and quiet fan cannot run together",
+    },
+  ]);
+  assert.strictEqual(decodeStateFrame(decodeBroadlinkBase64(result.packet)[0]).powerful, true);
+  result = controller.update({ quiet: "toggle" });
+  assert.strictEqual(result.state.quiet, true);
+  assert.deepStrictEqual(
+    result.sideEffects.map(({ field, to }) => [field, to]),
+    [["powerful", false]],
+  );
+
+  // Comfort takes over fan and swing; a fan request afterwards drops comfort
+  result = controller.update({ comfort: true });
+  assert.deepStrictEqual(
+    result.sideEffects.map(({ field, to, rule }) => [field, to, rule]),
+    [
+      ["fanMode", "auto", "comfort-fan"],
+      ["swing", false, "comfort-swing"],
+    ],
+  );
+  const frame = decodeStateFrame(decodeBroadlinkBase64(result.packet)[0]);
+  assert.strictEqual(frame.fanMode, "auto");
+  assert.strictEqual(frame.swing, false);
+  result = controller.command("fanMode next");
+  assert.strictEqual(result.state.fanMode, "night");
+  assert.strictEqual(result.state.comfort, false);
+
+  // Both fields in one update: the rule's first field wins, as in the encoder
+  const both = applyUpdate(controller.state, { powerful: true, powerSavingMode: "econo" });
+  assert.strictEqual(both.state.powerful, true);
+  assert.strictEqual(both.state.powerSavingMode, "none");
+
+  assert.strictEqual(controller.update({ swing: "toggle" }).state.swing, true);
+  assert.strictEqual(controller.update({ mode: "next" }).state.mode, "fan_only");
+  assert.strictEqual(controller.update({ fanMode: "previous" }).state.fanMode, "auto");
+  assert.strictEqual(decodeBroadlinkBase64(controller.update({ power: "toggle" }).packet).length, 3);
+  assert.deepStrictEqual(parseCommand("quiet false"), { quiet: false });
+  assert.deepStrictEqual(parseCommand("temperature=22"), { temperature: 22 });
+  assert.throws(() => parseCommand("nonsense"), /Invalid command/);
+}
+
+{
+  // Seeded from a decoded fan frame, whose temperature is null
+  const decoded = decodeStateFrame(encodeStateFrame({ mode: "fan_only", fanMode: "level2" }));
+  const state = Object.fromEntries(Object.keys(defaultState()).map((key) => [key, decoded[key]]));
+  const seeded = createController({ state });
+  assert.strictEqual(seeded.state.temperature, null);
+  assert.deepStrictEqual(decodeBroadlinkBase64(seeded.packet), [encodeStateFrame(state)]);
+  assert.throws(() => seeded.update({ temperature: "+1" }), /No temperature to step from/);
+
+  // Null needs a mode without a setpoint, including one set in the same update
+  const controller = createController({ state: { mode: "cool", temperature: 21.5 } });
+  assert.throws(() => controller.update({ temperature: null }), /Unsupported temperature/);
+  let result = controller.update({ temperature: null, mode: "fan_only" });
+  assert.strictEqual(result.state.temperature, null);
+
+  // Back in a setpoint mode the last setpoint returns, else the model default
+  result = controller.update({ mode: "cool" });
+  assert.strictEqual(result.state.temperature, 21.5);
+  assert.deepStrictEqual(
+    result.sideEffects.map(({ field, from, to, rule }) => [field, from, to, rule]),
+    [["temperature", null, 21.5, "setpoint"]],
+  );
+  assert.strictEqual(decodeStateFrame(decodeBroadlinkBase64(result.packet)[0]).temperature, 21.5);
+  const dry = createController({ state: { mode: "dry", temperature: null } });
+  assert.strictEqual(dry.update({ mode: "cool" }).state.temperature, 24);
+  assert.strictEqual(dry.update({ mode: "dry", temperature: null }).state.temperature, null);
+  assert.strictEqual(dry.update({ mode: "cool", temperature: 22 }).state.temperature, 22);
+  assert.deepStrictEqual(dry.update({ mode: "cool", temperature: 22 }).sideEffects, []);
+}
+
+{
+  const remote = createRemote({ state: { power: false, mode: "cool", temperature: 24 } });
+
+  // Settings change while off but nothing is sent; POWERFUL needs the unit on
+  let result = remote.press("temp_up");
+  assert.strictEqual(result.state.temperature, 24.5);
+  assert.strictEqual(result.packet, null);
+  assert.match(remote.press("powerful").ignored, /only works while the unit is on/);
+
+  result = remote.press("power");
+  assert.strictEqual(result.state.power, true);
+  assert.strictEqual(result.packet, stateToBroadlinkBase64(result.state));
+  assert.strictEqual(decodeStateFrame(decodeBroadlinkBase64(result.packet)[0]).temperature, 24.5);
+
+  // Each mode keeps its setpoint; fan and dry have none
+  const modes = remote.pressAll(["mode", "mode"]).map(({ state }) => state.mode);
+  assert.deepStrictEqual(modes, ["fan_only", "dry"]);
+  assert.match(remote.press("temp_down").ignored, /dry mode has no temperature setpoint/);
+  assert.match(remote.press("fan").ignored, /fan speed is fixed in dry mode/);
+  result = remote.press("mode");
+  assert.strictEqual(result.state.mode, "cool");
+  assert.strictEqual(result.state.temperature, 24.5);
+  assert.deepStrictEqual(remote.setpoints, { cool: 24.5 });
+
+  // FAN follows the remote's order: auto, night, then the five levels
+  const fans = remote.pressAll(parseButtons("fan*3")).map(({ state }) => state.fanMode);
+  assert.deepStrictEqual(fans, ["night", "level1", "level2"]);
+
+  // The last button pressed wins the exclusions
+  remote.press("quiet");
+  result = remote.press("powerful");
+  assert.deepStrictEqual(
+    result.sideEffects.map(({ field, to }) => [field, to]),
+    [["quiet", false]],
+  );
+  // In cool mode econo plus would send the econo frame again, so ECONO skips it
+  const econo = remote.pressAll(["econo", "econo"]);
+  assert.deepStrictEqual(
+    econo.map(({ state }) => state.powerSavingMode),
+    ["econo", "none"],
+  );
+  assert.strictEqual(econo[0].sideEffects[0].field, "powerful");
+  assert.strictEqual(remote.state.powerful, false);
+  const [econoFrame, noneFrame] = econo.map(({ packet }) => decodeBroadlinkBase64(packet)[0]);
+  assert.strictEqual(decodeFrame(econoFrame).econo, true);
+  assert.strictEqual(decodeFrame(noneFrame).econo, false);
+
+  // Dry frames tell all three apart
+  const dry = createRemote({ state: { mode: "dry" } });
+  const dryEcono = dry.pressAll(parseButtons("econo*3"));
+  const decoded = dryEcono.map(({ packet }) => decodeFrame(decodeBroadlinkBase64(packet)[0]));
+  assert.deepStrictEqual(
+    decoded.map(({ powerSavingMode }) => powerSavingMode),
+    ["econo", "econo_plus", "none"],
+  );
+  assert.strictEqual(new Set(decoded.map(({ bytes }) => bytes)).size, 3);
+  dry.pressAll(["econo", "econo"]);
+  assert.strictEqual(dry.press("mode").state.powerSavingMode, "econo");
+
+  result = remote.press("power");
+  assert.strictEqual(decodeBroadlinkBase64(result.packet).length, 3);
+  assert.throws(() => remote.press("timer"), /Unknown button/);
+  assert.deepStrictEqual(parseButtons(["mode, TEMP_UP*2"]), ["mode", "temp_up", "temp_up"]);
+}
+
+{
+  const unit = createIndoorUnit({ now: () => new Date(0) });
+  assert.strictEqual(unit.state.power, false);
+
+  let [event] = unit.receive(stateToBroadlinkBase64({ mode: "cool", temperature: 22 }));
+  assert.strictEqual(event.type, "state");
+  assert.strictEqual(event.time, "1970-01-01T00:00:00.000Z");
+  assert.strictEqual(unit.state.power, true);
+  assert.strictEqual(unit.state.temperature, 22);
+  assert.deepStrictEqual(
+    event.changes.map(({ field }) => field),
+    ["power", "temperature"],
+  );
+
+  // A corrupted checksum and unknown frames change nothing
+  const corrupted = encodeStateFrame({ mode: "dry" });
+  corrupted[corrupted.length - 1] ^= 0x01;
+  [event] = unit.receive(framesToBroadlinkBase64([corrupted]));
+  assert.strictEqual(event.type, "rejected");
+  assert.match(event.reason, /Checksum 0x[0-9a-f]{2} does not match/);
+  [event] = unit.receive("not a code");
+  assert.strictEqual(event.type, "rejected");
+  assert.strictEqual(unit.state.mode, "cool");
+
+  // Raw durations decode like a capture
+  [event] = unit.receive({
+    durations: framesToDurations([encodeStateFrame({ mode: "fan_only", fanMode: "level2" })]),
+  });
+  assert.strictEqual(unit.state.fanMode, "level2");
+
+  // Power off needs the whole off sequence; the settings stay
+  const off = framesForState({ power: false });
+  const partial = unit.receive(framesToBroadlinkBase64(off.slice(0, 2)));
+  assert.match(partial[0].reason, /Incomplete off sequence: got preamble, clock/);
+  assert.strictEqual(unit.state.power, true);
+  [event] = unit.receive(stateToBroadlinkBase64({ power: false }), "broadlink");
+  assert.strictEqual(event.type, "off");
+  assert.strictEqual(event.frames.length, 3);
+  assert.deepStrictEqual(event.changes, [{ field: "power", from: true, to: false }]);
+  assert.strictEqual(unit.state.mode, "fan_only");
+
+  assert.deepStrictEqual(
+    unit.eventsSince(5).map(({ sequence, type }) => [sequence, type]),
+    [[6, "off"]],
+  );
+  const bounded = createIndoorUnit({ maxEvents: 2 });
+  ["a", "b", "c"].forEach((code) => bounded.receive(code));
+  assert.deepStrictEqual(bounded.events.map(({ sequence }) => sequence), [2, 3]);
+}
+
+{
+  // Fan and dry frames leave the setpoint alone
+  const unit = createIndoorUnit({ state: { mode: "cool", temperature: 24.5 } });
+  const [event] = unit.receive(stateToBroadlinkBase64({ mode: "fan_only" }));
+  assert.strictEqual(unit.state.temperature, 24.5);
+  assert.ok(!event.changes.some(({ field }) => field === "temperature"));
+  unit.receive(stateToBroadlinkBase64({ mode: "dry" }));
+  assert.strictEqual(unit.state.temperature, 24.5);
+  unit.receive(stateToBroadlinkBase64({ mode: "cool", temperature: 21 }));
+  assert.strictEqual(unit.state.temperature, 21);
+}
+
+async function testBroadlinkNetwork() {
+  const options = { timeout: 1000 };
+  const device = await startFakeDevice();
+  try {
+    const [found] = await discover({ address: device.host, port: device.port, limit: 1, ...options });
+    assert.strictEqual(found.mac, device.mac);
+    assert.strictEqual(found.model, "RM mini 3");
+    assert.strictEqual(found.name, "Fake RM");
+
+    const stranger = createRmClient({ ...found, ...options });
+    await assert.rejects(stranger.sendData(stateToBroadlinkBase64({ mode: "cool" })), /not authenticated/);
+    await stranger.close();
+
+    const client = await connectRm(device.host, { port: device.port, ...options });
+    const code = stateToBroadlinkBase64({ mode: "cool", temperature: 22 });
+    await client.sendData(code);
+    assert.deepStrictEqual(device.sent, [code]);
+    await assert.rejects(client.sendData("AAAA"), /Broadlink/);
+
+    await client.enterLearning();
+    assert.strictEqual(device.learning, true);
+    assert.strictEqual(await client.checkData(), null);
+    const off = stateToBroadlinkBase64({ power: false });
+    assert.strictEqual(device.press(off), true);
+    assert.deepStrictEqual(decodeBroadlinkBase64(await client.checkData()), decodeBroadlinkBase64(off));
+
+    setTimeout(() => device.press(code), 30);
+    const learned = await client.learn({ timeout: 1000, interval: 10 });
+    assert.deepStrictEqual(decodeBroadlinkBase64(learned), decodeBroadlinkBase64(code));
+    await assert.rejects(client.learn({ timeout: 30, interval: 10 }), /Nothing learned/);
+    await client.close();
+  } finally {
+    await device.close();
+  }
+
+  // RM4 firmware frames command payloads with a length prefix
+  const rm4 = await startFakeDevice({ devtype: 0x6026, mac: "e8:16:56:00:00:02" });
+  try {
+    const client = await connectRm(rm4.host, { port: rm4.port, ...options });
+    const code = stateToBroadlinkBase64({ mode: "dry" });
+    await client.sendData(code);
+    assert.deepStrictEqual(rm4.sent, [code]);
+    await client.enterLearning();
+    rm4.press(code);
+    assert.strictEqual(await client.checkData(), code);
+    await client.close();
+  } finally {
+    await rm4.close();
+  }
+}
+
+async function testCaptureSession() {
+  const keys = captureKeys("cool", "on", "auto").slice(0, 3);
+  assert.deepStrictEqual(keys, ["cool-on-auto-16", "cool-on-auto-16.5", "cool-on-auto-17"]);
+  assert.strictEqual(captureKeys("cool", "on", "auto", { reverse: true })[0], "cool-on-auto-32");
+  assert.throws(() => captureKeys("heat", "on", "auto"), /Unsupported operatingMode/);
+
+  const codeFor = (key) => stateToBroadlinkBase64(keyToState(key));
+  assert.strictEqual(checkCapture(keys[0], codeFor(keys[0])).accepted, true);
+  assert.match(checkCapture(keys[0], codeFor(keys[1])).errors[0], /temperature 16 -> 16.5/);
+
+  // A real comfort + night code is accepted although the encoder sends auto
+  if (fs.existsSync(PROVEN_PATH)) {
+    const key = "cool-comfort-night_quiet-16";
+    const check = checkCapture(key, readProvenCommands()[key]);
+    assert.strictEqual(check.accepted, true);
+    assert.deepStrictEqual(check.errors, []);
+    assert.match(check.warnings[0], /fanMode night where the encoder sends auto/);
+  }
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "daikin-capture-"));
+  const filePath = path.join(directory, "cool.on.auto.json");
+  const log = () => {};
+  try {
+    // A wrong code is asked again, a skipped key stays pending, quit stops
+    const answers = [codeFor(keys[1]), codeFor(keys[0]), SKIP, null];
+    const asked = [];
+    const first = await runCaptureSession({
+      keys,
+      filePath,
+      log,
+      source: {
+        async next(key, attempt) {
+          asked.push(`${key}#${attempt}`);
+          return answers.shift();
+        },
+      },
+    });
+    assert.deepStrictEqual(asked, [
+      "cool-on-auto-16#1",
+      "cool-on-auto-16#2",
+      "cool-on-auto-16.5#1",
+      "cool-on-auto-17#1",
+    ]);
+    assert.deepStrictEqual(first.skipped, ["cool-on-auto-16.5"]);
+    assert.strictEqual(first.stopped, true);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, "utf8")), { [keys[0]]: codeFor(keys[0]) });
+
+    // Resuming asks only the pending keys; piped lines work as a source
+    const { PassThrough, Readable } = require("stream");
+    const input = Readable.from([`${codeFor(keys[1])}
+${codeFor(keys[2])}
+`]);
+    const resumed = await runCaptureSession({ keys, filePath, log, source: lineSource(input, new PassThrough()) });
+    assert.strictEqual(resumed.complete, true);
+    assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(filePath, "utf8"))), keys);
+
+    // Stored codes that no longer match their key are captured again
+    const stored = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    stored[keys[2]] = codeFor(keys[0]);
+    fs.writeFileSync(filePath, JSON.stringify(stored));
+    const device = await startFakeDevice();
+    try {
+      const client = await connectRm(device.host, { port: device.port, timeout: 1000 });
+      const pressed = setInterval(() => device.press(codeFor(keys[2])), 10);
+      const learned = await runCaptureSession({
+        keys,
+        filePath,
+        log,
+        source: deviceSource(client, { timeout: 1000, interval: 10, log }),
+      });
+      clearInterval(pressed);
+      await client.close();
+      assert.strictEqual(learned.complete, true);
+      assert.deepStrictEqual(
+        decodeBroadlinkBase64(JSON.parse(fs.readFileSync(filePath, "utf8"))[keys[2]]),
+        decodeBroadlinkBase64(codeFor(keys[2])),
+      );
+    } finally {
+      await device.close();
+    }
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+async function testHttpApi() {
+  const server = createApiServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const call = async (method, pathname, body) => {
+    const response = await fetch(`${base}${pathname}`, {
+      method,
+      body: typeof body === "string" ? body : body && JSON.stringify(body),
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  try {
+    const state = { mode: "cool", temperature: 21, fanMode: "level3" };
+    const encoded = await call("POST", "/encode", state);
+    assert.strictEqual(encoded.status, 200);
+    assert.strictEqual(encoded.body.key, "cool-on-level3-21");
+    assert.strictEqual(encoded.body.broadlink, stateToBroadlinkBase64(state));
+    assert.strictEqual(encoded.body.pronto, stateToPronto(state));
+    assert.deepStrictEqual(
+      encoded.body.frames,
+      framesForState(state).map((frame) =>
+        frame.map((byte) => byte.toString(16).padStart(2, "0")).join(" "),
+      ),
+    );
+    assert.strictEqual(encoded.body.raw.length, framesToDurations(framesForState(state)).length);
+
+    const repeated = await call("POST", "/encode?repeat=2", state);
+    assert.strictEqual(Buffer.from(repeated.body.broadlink, "base64")[1], 2);
+
+    const decoded = await call("POST", "/decode", { code: encoded.body.broadlink });
+    assert.strictEqual(decoded.status, 200);
+    assert.strictEqual(decoded.body.frames[0].kind, "state");
+    assert.strictEqual(decoded.body.frames[0].fanMode, "level3");
+    const fromPronto = await call("POST", "/decode", { code: encoded.body.pronto });
+    assert.deepStrictEqual(fromPronto.body, decoded.body);
+    const fromRaw = await call("POST", "/decode", {
+      raw: `uint16_t rawData[${encoded.body.raw.length}] = {${encoded.body.raw.join(", ")}};`,
+    });
+    assert.deepStrictEqual(fromRaw.body, decoded.body);
+
+    const commands = generateCommands();
+    const command = await call("GET", "/commands/cool/auto_quiet/on/24.5");
+    assert.deepStrictEqual(command.body, {
+      key: "cool-on-auto_quiet-24.5",
+      code: commands["cool-on-auto_quiet-24.5"],
+    });
+    assert.strictEqual((await call("GET", "/commands/cool/auto/on/24.0")).body.key, "cool-on-auto-24");
+    assert.strictEqual((await call("GET", "/commands/off")).body.code, commands.off);
+    const subtree = await call("GET", "/commands/cool/auto");
+    assert.ok(Object.keys(subtree.body).includes("comfort"));
+    const tree = await call("GET", "/commands");
+    assert.strictEqual(tree.body.commands.cool.auto.on["24"], commands["cool-on-auto-24"]);
+
+    const capabilities = await call("GET", "/capabilities");
+    assert.strictEqual(capabilities.body.minTemperature, 16);
+    assert.deepStrictEqual(capabilities.body.operationModes, ["dry", "cool", "fan_only"]);
+    assert.strictEqual(capabilities.body.commands, undefined);
+
+    // Structured errors
+    const expectError = async (promise, status, code) => {
+      const { status: actual, body } = await promise;
+      assert.strictEqual(actual, status);
+      assert.strictEqual(body.error.code, code);
+      assert.strictEqual(typeof body.error.message, "string");
+      return body.error;
+    };
+    const encodeHeat = call("POST", "/encode", { mode: "heat" });
+    const invalid = await expectError(encodeHeat, 400, "invalid_state");
+    assert.deepStrictEqual(
+      invalid.details.map(({ code, path: pointer }) => [code, pointer]),
+      [["unsupported_value", "/mode"]],
+    );
+    const validated = await call("POST", "/validate", { mode: "cool", fanmode: "auto" });
+    assert.strictEqual(validated.status, 200);
+    assert.strictEqual(validated.body.valid, false);
+    assert.strictEqual(validated.body.errors[0].suggestion, "fanMode");
+    assert.deepStrictEqual((await call("GET", "/schema")).body, stateSchema());
+    await expectError(call("POST", "/encode", "{"), 400, "invalid_json");
+    await expectError(call("POST", "/encode", "[]"), 400, "invalid_json");
+    await expectError(call("POST", "/encode?repeat=300", state), 400, "invalid_option");
+    await expectError(call("POST", "/encode?model=nope", state), 400, "unknown_model");
+    await expectError(call("POST", "/decode", { code: "not a code" }), 400, "invalid_code");
+    await expectError(call("POST", "/decode", {}), 400, "invalid_code");
+    const missing = await expectError(call("GET", "/commands/cool/auto/on/40"), 404, "command_not_found");
+    assert.strictEqual(missing.details.temperature, "40");
+    assert.ok(missing.details.available.includes("24.5"));
+    await expectError(call("GET", "/commands/%E0%A4%A"), 400, "invalid_path");
+    // An oversized body gets the JSON error, not a reset connection
+    const large = JSON.stringify({ code: "x".repeat(2 * 1024 * 1024) });
+    await expectError(call("POST", "/decode", large), 413, "payload_too_large");
+    await expectError(call("GET", "/nothing"), 404, "not_found");
+    await expectError(call("GET", "/missing.js"), 404, "not_found");
+
+    // The web remote and the browser codec are served as static files
+    const page = await fetch(`${base}/`);
+    assert.strictEqual(page.headers.get("content-type"), "text/html; charset=utf-8");
+    assert.match(await page.text(), /<script type="module" src="\.\/remote\.js">/);
+    const codec = await fetch(`${base}/daikin_codec.js`);
+    assert.strictEqual(codec.headers.get("content-type"), "text/javascript; charset=utf-8");
+    assert.strictEqual(await codec.text(), buildBrowserBundle());
+    const wrongMethod = call("GET", "/encode");
+    await expectError(wrongMethod, 405, "method_not_allowed");
+    assert.strictEqual((await wrongMethod).headers.get("allow"), "POST");
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+{
+  assert.strictEqual(topicMatches("daikin/+/mode/set", "daikin/bedroom/mode/set"), true);
+  assert.strictEqual(topicMatches("daikin/#", "daikin/bedroom/mode/set"), true);
+  assert.strictEqual(topicMatches("daikin/+", "daikin/bedroom/mode"), false);
+
+  const large = publishPacket("t", Buffer.alloc(300, 1));
+  const { packets, rest } = readPackets(Buffer.concat([large, large.subarray(0, 10)]));
+  assert.strictEqual(packets.length, 1);
+  assert.strictEqual(packets[0].body.length, 303);
+  assert.strictEqual(rest.length, 10);
+
+  const config = discoveryConfig({ id: "bedroom", name: "Bedroom" });
+  assert.deepStrictEqual(config.modes, ["off", "dry", "cool", "fan_only"]);
+  assert.deepStrictEqual(config.fan_modes, [
+    "auto",
+    "night",
+    "level1",
+    "level2",
+    "level3",
+    "level4",
+    "level5",
+  ]);
+  assert.strictEqual(config.min_temp, 16);
+  assert.strictEqual(config.temp_step, 0.5);
+  assert.strictEqual(config.mode_command_topic, "daikin/bedroom/mode/set");
+  assert.ok(config.preset_modes.includes("boost"));
+
+  // Every preset the bridge exposes sends its own frame in every mode
+  for (const mode of config.modes.filter((mode) => mode !== "off")) {
+    const frames = ["none", ...config.preset_modes].map((preset) =>
+      hex(encodeStateFrame(deviceState({ mode, temperature: 24, fanMode: "auto", preset }))),
+    );
+    assert.strictEqual(new Set(frames).size, frames.length, mode);
+  }
+
+  let state = {
+    mode: "off",
+    lastMode: "cool",
+    temperature: 24,
+    fanMode: "auto",
+    swing: false,
+    preset: "none",
+  };
+  state = applyCommand(state, "preset_mode", "boost");
+  assert.strictEqual(deviceState(state).powerful, true);
+  state = applyCommand(state, "preset_mode", "eco");
+  assert.strictEqual(deviceState(state).powerful, false);
+  assert.strictEqual(deviceState(state).powerSavingMode, "econo");
+  assert.deepStrictEqual(deviceState(applyCommand(state, "mode", "dry")).mode, "dry");
+  assert.strictEqual(deviceState(state).power, false);
+  assert.throws(() => applyCommand(state, "mode", "heat"), /Unsupported mode/);
+  assert.throws(() => applyCommand(state, "temperature", "40"), /outside 16..32/);
+  assert.throws(() => applyCommand(state, "fan_mode", "auto_quiet"), /Unsupported fan mode/);
+}
+
+async function testBrowserBuild() {
+  const bundle = buildBrowserBundle();
+  // The command-line code of the modules is left out
+  assert.doesNotMatch(bundle, /process\.|require\.main|require\("fs"\)|function main\(/);
+
+  // The module loads and encodes without Node's Buffer
+  const state = { mode: "cool", temperature: 23.5, fanMode: "level2", powerful: true };
+  const { Buffer: NodeBuffer } = globalThis;
+  delete globalThis.Buffer;
+  let browser;
+  let encoded;
+  try {
+    browser = await import(`data:text/javascript,${encodeURIComponent(bundle)}`);
+    encoded = {
+      broadlink: browser.stateToBroadlinkBase64(state),
+      off: browser.stateToBroadlinkBase64({ power: false }, browser.ARC480A48, undefined, {
+        repeat: 1,
+      }),
+      pronto: browser.stateToPronto(state),
+      decoded: browser.decodeCapture(stateToBroadlinkBase64(state)).map(hex),
+      errors: browser.validateState({ fan_mode: "auto" }).errors.map(({ code }) => code),
+      remote: browser.createRemote().pressAll(["mode", "temp_up"]).pop().state.mode,
+    };
+  } finally {
+    globalThis.Buffer = NodeBuffer;
+  }
+
+  assert.strictEqual(encoded.broadlink, stateToBroadlinkBase64(state));
+  assert.strictEqual(
+    encoded.off,
+    stateToBroadlinkBase64({ power: false }, undefined, undefined, { repeat: 1 }),
+  );
+  assert.strictEqual(encoded.pronto, stateToPronto(state));
+  assert.deepStrictEqual(encoded.decoded, decodeCapture(encoded.broadlink).map(hex));
+  assert.deepStrictEqual(encoded.errors, ["unknown_field"]);
+  assert.strictEqual(encoded.remote, "fan_only");
+  assert.ok(new browser.StateValidationError([]) instanceof browser.DaikinError);
+}
+
+async function testIndoorUnit() {
+  const unit = createIndoorUnit();
+  const server = createUnitServer(unit);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const call = async (method, pathname, body) => {
+    const response = await fetch(`${base}${pathname}`, {
+      method,
+      body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  const device = await startFakeDevice({ onSend: (code) => unit.receive(code, "broadlink") });
+
+  try {
+    const received = await call("POST", "/ir", {
+      code: stateToPronto({ mode: "cool", temperature: 25.5, powerful: true }),
+    });
+    assert.strictEqual(received.status, 200);
+    assert.strictEqual(received.body.events[0].type, "state");
+    assert.strictEqual(received.body.state.temperature, 25.5);
+    assert.strictEqual(received.body.state.powerful, true);
+
+    const missing = await call("POST", "/ir", { state: {} });
+    assert.strictEqual(missing.status, 400);
+    assert.strictEqual(missing.body.error.code, "invalid_code");
+
+    // Codes sent through the fake Broadlink RM reach the unit
+    const client = await connectRm(device.host, { port: device.port, timeout: 1000 });
+    await client.sendData(stateToBroadlinkBase64({ power: false }));
+    await client.close();
+    const state = await call("GET", "/state");
+    assert.strictEqual(state.body.power, false);
+    assert.strictEqual(state.body.temperature, 25.5);
+
+    const events = await call("GET", "/events?since=1");
+    assert.deepStrictEqual(
+      events.body.events.map(({ type, source }) => [type, source]),
+      [["off", "broadlink"]],
+    );
+    assert.strictEqual((await call("GET", "/events?since=-1")).body.error.code, "invalid_option");
+    assert.strictEqual((await call("DELETE", "/state")).status, 405);
+  } finally {
+    await device.close();
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+async function testMqttBridge() {
+  const broker = await startMqttBroker();
+  const connect = (options) => connectMqtt({ host: broker.host, port: broker.port, ...options });
+  const bridgeClient = await connect({
+    clientId: "bridge",
+    will: { topic: "daikin/bedroom/availability", payload: "offline", retain: true },
+  });
+  const home = await connect({ clientId: "home-assistant" });
+  const bridge = createClimateBridge({
+    client: bridgeClient,
+    id: "bedroom",
+    name: "Bedroom",
+    log: () => {},
+  });
+
+  const received = [];
+  const waiting = [];
+  home.on("message", (topic, payload) => {
+    received.push({ topic, payload: payload.toString() });
+    for (const waiter of waiting.filter((candidate) => candidate.topic === topic)) {
+      waiting.splice(waiting.indexOf(waiter), 1);
+      waiter.resolve(payload.toString());
+    }
+  });
+  const nextMessage = (topic) =>
+    new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`No message on ${topic}`)), 2000);
+      waiting.push({
+        topic,
+        resolve(payload) {
+          clearTimeout(timer);
+          resolve(payload);
+        },
+      });
+    });
+
+  // Publishes resolve once written; the broker handles them a moment later
+  const retained = async (topic) => {
+    for (let tries = 0; tries < 100 && !broker.retained.has(topic); tries += 1) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    return broker.retained.get(topic).toString();
+  };
+
+  try {
+    await bridge.start();
+    await retained("daikin/bedroom/preset_mode/state");
+    assert.deepStrictEqual(
+      JSON.parse(broker.retained.get("homeassistant/climate/bedroom/config").toString()),
+      discoveryConfig({ id: "bedroom", name: "Bedroom" }),
+    );
+    assert.strictEqual(broker.retained.get("daikin/bedroom/availability").toString(), "online");
+    assert.strictEqual(broker.retained.get("daikin/bedroom/mode/state").toString(), "off");
+
+    // Retained state reaches a subscriber that joins late
+    const lateMode = nextMessage("daikin/bedroom/mode/state");
+    const latePreset = nextMessage("daikin/bedroom/preset_mode/state");
+    await home.subscribe(["daikin/bedroom/+/state", "daikin/bedroom/broadlink"]);
+    assert.strictEqual(await lateMode, "off");
+    assert.strictEqual(await latePreset, "none");
+
+    // preset_mode/state is the last topic the bridge publishes for a command
+    const send = async (control, payload) => {
+      const settled = nextMessage("daikin/bedroom/preset_mode/state");
+      const from = received.length;
+      await home.publish(`daikin/bedroom/${control}/set`, payload);
+      await settled;
+      const messages = received.slice(from);
+      const packet = messages.find(({ topic }) => topic === "daikin/bedroom/broadlink");
+      const states = Object.fromEntries(
+        messages.map(({ topic, payload: value }) => [topic.split("/")[2], value]),
+      );
+      return { packet: packet && packet.payload, states };
+    };
+
+    let result = await send("mode", "cool");
+    assert.strictEqual(
+      result.packet,
+      stateToBroadlinkBase64({ mode: "cool", temperature: 24, fanMode: "auto", swing: false }),
+    );
+    assert.strictEqual(result.states.mode, "cool");
+
+    result = await send("temperature", "21.5");
+    assert.strictEqual(decodeStateFrame(decodeBroadlinkBase64(result.packet)[0]).temperature, 21.5);
+
+    result = await send("preset_mode", "boost");
+    const [boosted] = decodeBroadlinkBase64(result.packet);
+    assert.strictEqual(decodeStateFrame(boosted).powerful, true);
+    assert.strictEqual(decodeStateFrame(boosted).temperature, 21.5);
+
+    // Unsupported values send nothing and the state topics are republished
+    result = await send("fan_mode", "turbo");
+    assert.strictEqual(result.packet, undefined);
+    assert.strictEqual(result.states.fan_mode, "auto");
+    assert.strictEqual(bridge.state.fanMode, "auto");
+
+    result = await send("mode", "off");
+    assert.strictEqual(decodeBroadlinkBase64(result.packet).length, 3);
+    assert.strictEqual(result.states.mode, "off");
+    assert.strictEqual(result.states.temperature, "21.5");
+
+    const online = nextMessage("daikin/bedroom/availability");
+    await home.subscribe("daikin/bedroom/availability");
+    assert.strictEqual(await online, "online");
+    const stopped = nextMessage("daikin/bedroom/availability");
+    await bridge.stop();
+    assert.strictEqual(await stopped, "offline");
+  } finally {
+    await home.end();
+    await bridgeClient.end();
+    await broker.close();
+  }
+}
+
+(async () => {
+  await testBroadlinkNetwork();
+  await testCaptureSession();
+  await testHttpApi();
+  await testBrowserBuild();
+  await testIndoorUnit();
+  await testMqttBridge();
+  console.log("daikin_arc480a48 tests passed");
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,131 @@
+import {
+  BUTTONS,
+  createRemote,
+  decodeCapture,
+  decodeFrame,
+  getModel,
+} from "./daikin_codec.js";
+
+// The web remote: the button emulator drives the display, the packet and the
+// frame view; the decode box reads any pasted code
+
+const LABELS = {
+  power: "ON/OFF",
+  mode: "MODE",
+  fan: "FAN",
+  temp_up: "TEMP ▲",
+  temp_down: "TEMP ▼",
+  swing: "SWING",
+  powerful: "POWERFUL",
+  econo: "ECONO",
+  comfort: "COMFORT",
+  quiet: "QUIET",
+};
+
+const FAN_LABELS = { auto: "AUTO", night: "NIGHT" };
+
+// Frame fields shown besides kind, bytes and checksum
+const HIDDEN_FIELDS = ["kind", "protocol", "bytes", "checksum", "unknownBits"];
+
+const model = getModel();
+const remote = createRemote({ model, state: { power: false } });
+const element = (id) => document.getElementById(id);
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"]/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function renderDisplay(state) {
+  const { setpointModes } = model.capabilities;
+  const temperature = setpointModes.includes(state.mode)
+    ? `${state.temperature.toFixed(1)}°C`
+    : "--";
+  const fan = FAN_LABELS[state.fanMode] || state.fanMode.replace("level", "FAN ");
+  const features = [
+    state.powerful && "POWERFUL",
+    state.powerSavingMode === "econo" && "ECONO",
+    state.powerSavingMode === "econo_plus" && "ECONO+",
+    state.comfort && "COMFORT",
+    state.quiet && "QUIET",
+    state.swing && "SWING",
+  ].filter(Boolean);
+
+  element("lcd").innerHTML = `
+    <div class="${state.power ? "" : "off"}">
+      <div>${state.power ? "ON" : "OFF"} · ${state.mode.replace("_only", "").toUpperCase()}</div>
+      <div class="temperature">${temperature}</div>
+      <div>${fan}${features.length ? ` · ${features.join(" ")}` : ""}</div>
+    </div>`;
+}
+
+function renderFrames(frames) {
+  return frames
+    .map((bytes, index) => {
+      const frame = decodeFrame(bytes, model);
+      const rows = Object.entries(frame)
+        .filter(([field]) => !HIDDEN_FIELDS.includes(field))
+        .map(([field, value]) => `<tr><th>${field}</th><td>${escapeHtml(value)}</td></tr>`);
+      const hex = (value) => `0x${value.toString(16).padStart(2, "0")}`;
+      let checksum = "";
+      if (frame.checksum) {
+        const { actual, expected, valid } = frame.checksum;
+        checksum = valid
+          ? "checksum ok"
+          : `<span class="error">checksum ${hex(actual)}, expected ${hex(expected)}</span>`;
+      }
+      return `
+        <div>Frame ${index + 1}: <b>${frame.kind}</b> ${checksum}</div>
+        <code>${frame.bytes}</code>
+        <table>${rows.join("")}</table>`;
+    })
+    .join("");
+}
+
+function showPacket(packet) {
+  element("packet").value = packet;
+  element("copied").textContent = "";
+  element("frames").innerHTML = renderFrames(decodeCapture(packet, model));
+}
+
+function press(button) {
+  const result = remote.press(button);
+  renderDisplay(result.state);
+
+  const notes = result.ignored
+    ? [`Ignored: ${result.ignored}`]
+    : result.sideEffects.map(({ field, to, reason }) => `${field} → ${to}: ${reason}`);
+  if (!result.ignored && !result.packet) notes.push("Nothing is sent while the unit is off");
+  element("message").textContent = notes.join(" · ");
+
+  if (result.packet) showPacket(result.packet);
+}
+
+for (const button of BUTTONS) {
+  const node = document.createElement("button");
+  node.type = "button";
+  node.textContent = LABELS[button] || button;
+  if (button === "power") node.className = "power";
+  node.addEventListener("click", () => press(button));
+  element("buttons").append(node);
+}
+
+element("copy").addEventListener("click", async () => {
+  try {
+    await navigator.clipboard.writeText(element("packet").value);
+    element("copied").textContent = "Copied";
+  } catch (error) {
+    element("packet").select();
+    element("copied").textContent = "Select and copy the text above";
+  }
+});
+
+element("decode").addEventListener("click", () => {
+  const value = element("capture").value.trim();
+  try {
+    element("decoded").innerHTML = renderFrames(decodeCapture(value, model));
+  } catch (error) {
+    element("decoded").innerHTML = `<p class="error">${escapeHtml(error.message)}</p>`;
+  }
+});
+
+renderDisplay(remote.state);